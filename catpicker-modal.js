@@ -41,6 +41,9 @@
       
       <!-- Modal Body -->
       <div class="catpicker-body">
+        <!-- Suggested categories (filled when script.js passes suggestions) -->
+        <div id="catpickerSuggest" class="catpicker-suggest"></div>
+
         <!-- Search input to filter categories -->
         <input id="catpickerSearch" class="catpicker-search" type="text" placeholder="Search categories…" />
         
@@ -248,9 +251,10 @@
    * @param {Object} options - Configuration object
    * @param {Array} options.categories - Array of category names to choose from
    * @param {string} options.current - Currently selected category
+   * @param {Array} options.suggestions - Optional [{ category, confidence }] shown above the list
    * @param {Function} options.onChoose - Callback function when user chooses a category
    */
-  function openCategoryPicker({categories, current, onChoose}) {
+  function openCategoryPicker({categories, current, suggestions = [], onChoose}) {
     // Ensure modal exists in the DOM
     ensureModal();
     
@@ -271,6 +275,31 @@
     // Render initial page
     renderPage(currentPage, filteredCategories, current);
 
+    // Suggested categories: one click picks the category straight away
+    const suggestBox = document.getElementById('catpickerSuggest');
+    suggestBox.innerHTML = '';
+    if (suggestions.length) {
+      const title = document.createElement('div');
+      title.className = 'catpicker-suggest-title';
+      title.textContent = 'Suggested';
+      suggestBox.appendChild(title);
+      suggestions.forEach(sg => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'catpicker-suggestion';
+        btn.textContent = sg.category;
+        const pct = document.createElement('span');
+        pct.className = 'catpicker-badge';
+        pct.textContent = `${Math.round((sg.confidence || 0) * 100)}%`;
+        btn.appendChild(pct);
+        btn.addEventListener('click', () => {
+          onChoose && onChoose(sg.category);
+          close();
+        });
+        suggestBox.appendChild(btn);
+      });
+    }
+
     // ============================================================================
     // SEARCH FUNCTIONALITY
     // ============================================================================
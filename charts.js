@@ -0,0 +1,221 @@
+// ============================================================================
+// CHARTS - Category breakdown (donut / bar) and month-by-month trend
+// ============================================================================
+// Drawn as plain inline SVG by script.js (renderCharts). No charting library
+// and nothing fetched from a CDN, so the charts work offline like the rest
+// of the app.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - Every segment carries data-cat; the caller decides what a click does
+// - Colours are picked from the category name, so a category keeps the same
+//   colour in every chart and after every re-render
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // COLOURS & HELPERS
+  // ============================================================================
+
+  const PALETTE = [
+    '#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#8b5cf6',
+    '#14b8a6', '#f97316', '#ec4899', '#84cc16', '#06b6d4', '#a855f7'
+  ];
+  const OTHER = 'OTHER';
+  const OTHER_COLOUR = '#cbd5e1';
+
+  /**
+   * Picks a stable colour for a category name
+   * @param {string} cat - Category name
+   * @returns {string} CSS colour
+   */
+  function colourFor(cat) {
+    if (cat === OTHER) return OTHER_COLOUR;
+    let h = 0;
+    for (const ch of String(cat)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+    return PALETTE[h % PALETTE.length];
+  }
+
+  /**
+   * "GROCERIES" -> "Groceries" (matches toTitleCase in script.js)
+   */
+  function label(cat) {
+    return String(cat || '').toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  /**
+   * Keeps the biggest categories and folds the rest into OTHER
+   * @param {Array} rows - [[category, total]...] sorted largest first
+   * @param {number} max - How many categories to keep
+   * @returns {Array} [[category, total]...]
+   */
+  function topRows(rows, max) {
+    const positive = rows.filter(([, v]) => v > 0);
+    if (positive.length <= max) return positive;
+    const kept = positive.slice(0, max - 1);
+    const rest = positive.slice(max - 1).reduce((acc, [, v]) => acc + v, 0);
+    return [...kept, [OTHER, rest]];
+  }
+
+  /**
+   * Builds the legend under a chart
+   * @param {Array} cats - Category names in drawing order
+   * @returns {string} HTML
+   */
+  function legendHtml(cats) {
+    return '<div class="chart-legend">' + cats.map(cat =>
+      `<span class="chart-key${cat === OTHER ? '' : ' clickable'}" data-cat="${cat === OTHER ? '' : escapeHtml(cat)}">` +
+      `<i style="background:${colourFor(cat)}"></i>${escapeHtml(label(cat))}</span>`
+    ).join('') + '</div>';
+  }
+
+  /**
+   * Wires clicks on anything with a non-empty data-cat
+   * @param {HTMLElement} el - Chart container
+   * @param {Function} onSelect - Called with the category name
+   */
+  function wireClicks(el, onSelect) {
+    el.querySelectorAll('[data-cat]').forEach(node => {
+      const cat = node.getAttribute('data-cat');
+      if (!cat || !onSelect) return;
+      node.addEventListener('click', () => onSelect(cat));
+    });
+  }
+
+  // ============================================================================
+  // BREAKDOWN (DONUT OR BAR)
+  // ============================================================================
+
+  /**
+   * Draws the category breakdown for one period
+   *
+   * @param {HTMLElement} el - Container to fill
+   * @param {Object} options
+   * @param {Array} options.rows - computeCategoryTotals(...).rows
+   * @param {string} options.type - 'donut' or 'bar'
+   * @param {string} options.selected - Category to highlight (CURRENT_FILTER)
+   * @param {Function} options.onSelect - Called with the clicked category
+   */
+  function renderBreakdown(el, {rows = [], type = 'donut', selected = '', onSelect}) {
+    const data = topRows(rows, 10);
+    const total = data.reduce((acc, [, v]) => acc + v, 0);
+    if (!el) return;
+    if (!data.length || total <= 0) {
+      el.innerHTML = '<p class="muted">No spending to chart for this period.</p>';
+      return;
+    }
+
+    let svg;
+    if (type === 'bar') {
+      const rowH = 26, labelW = 140, barW = 300, width = labelW + barW + 80;
+      const max = data[0][1];
+      svg = `<svg class="chart-svg" viewBox="0 0 ${width} ${data.length * rowH}" role="img" aria-label="Spending by category">`;
+      data.forEach(([cat, v], i) => {
+        const w = Math.max(1, v / max * barW);
+        const y = i * rowH;
+        const cls = `chart-seg${cat === selected ? ' selected' : ''}`;
+        svg += `<g class="${cls}" data-cat="${cat === OTHER ? '' : escapeHtml(cat)}">` +
+          `<title>${escapeHtml(label(cat))}: ${v.toFixed(2)}</title>` +
+          `<text x="${labelW - 8}" y="${y + 17}" text-anchor="end" class="chart-label">${escapeHtml(label(cat))}</text>` +
+          `<rect x="${labelW}" y="${y + 4}" width="${w.toFixed(1)}" height="${rowH - 8}" rx="4" fill="${colourFor(cat)}"></rect>` +
+          `<text x="${(labelW + w + 6).toFixed(1)}" y="${y + 17}" class="chart-label">${v.toFixed(0)}</text></g>`;
+      });
+      svg += '</svg>';
+      el.innerHTML = svg;
+    } else {
+      const r = 80, stroke = 34, c = 2 * Math.PI * r, size = 2 * (r + stroke);
+      let offset = 0;
+      svg = `<svg class="chart-svg donut" viewBox="0 0 ${size} ${size}" role="img" aria-label="Spending by category">`;
+      svg += `<g transform="rotate(-90 ${size / 2} ${size / 2})">`;
+      data.forEach(([cat, v]) => {
+        const len = v / total * c;
+        const cls = `chart-seg${cat === selected ? ' selected' : ''}`;
+        svg += `<circle class="${cls}" data-cat="${cat === OTHER ? '' : escapeHtml(cat)}" cx="${size / 2}" cy="${size / 2}" r="${r}" fill="none" ` +
+          `stroke="${colourFor(cat)}" stroke-width="${stroke}" stroke-dasharray="${len.toFixed(2)} ${(c - len).toFixed(2)}" ` +
+          `stroke-dashoffset="${(-offset).toFixed(2)}"><title>${escapeHtml(label(cat))}: ${v.toFixed(2)} (${(v / total * 100).toFixed(1)}%)</title></circle>`;
+        offset += len;
+      });
+      svg += '</g>';
+      svg += `<text x="${size / 2}" y="${size / 2 + 6}" text-anchor="middle" class="chart-centre">${total.toFixed(0)}</text>`;
+      svg += '</svg>';
+      el.innerHTML = svg + legendHtml(data.map(([cat]) => cat));
+    }
+    wireClicks(el, onSelect);
+  }
+
+  // ============================================================================
+  // TREND (STACKED BARS PER MONTH)
+  // ============================================================================
+
+  /**
+   * Draws stacked spending per category for every month
+   *
+   * @param {HTMLElement} el - Container to fill
+   * @param {Object} options
+   * @param {Array} options.months - [{ ym: 'YYYY-MM', label, rows }] oldest first
+   * @param {string} options.selected - Category to highlight (CURRENT_FILTER)
+   * @param {Function} options.onSelect - Called with the clicked category
+   */
+  function renderTrend(el, {months = [], selected = '', onSelect}) {
+    if (!el) return;
+    if (!months.length) {
+      el.innerHTML = '';
+      return;
+    }
+
+    // Rank categories over the whole range so the stacks use the same order every month
+    const overall = new Map();
+    months.forEach(m => m.rows.forEach(([cat, v]) => {
+      if (v > 0) overall.set(cat, (overall.get(cat) || 0) + v);
+    }));
+    const ranked = [...overall.entries()].sort((a, b) => b[1] - a[1]);
+    const keep = new Set(topRows(ranked, 8).map(([cat]) => cat));
+    const stackOf = (rows) => {
+      const out = new Map();
+      rows.forEach(([cat, v]) => {
+        if (v <= 0) return;
+        const key = keep.has(cat) ? cat : OTHER;
+        out.set(key, (out.get(key) || 0) + v);
+      });
+      return out;
+    };
+    const stacks = months.map(m => stackOf(m.rows));
+    const order = [...keep];
+    const max = Math.max(1, ...stacks.map(s => [...s.values()].reduce((a, b) => a + b, 0)));
+
+    const plotH = 180, top = 10, left = 50, colW = 44, gap = 12;
+    const width = left + months.length * (colW + gap) + gap;
+    let svg = `<svg class="chart-svg trend" viewBox="0 0 ${width} ${plotH + top + 40}" role="img" aria-label="Spending per month">`;
+    // Axis with three gridlines
+    for (let i = 0; i <= 2; i++) {
+      const v = max * i / 2;
+      const y = top + plotH - (v / max * plotH);
+      svg += `<line x1="${left}" x2="${width}" y1="${y.toFixed(1)}" y2="${y.toFixed(1)}" class="chart-grid"></line>`;
+      svg += `<text x="${left - 6}" y="${(y + 4).toFixed(1)}" text-anchor="end" class="chart-label">${v.toFixed(0)}</text>`;
+    }
+    months.forEach((m, i) => {
+      const x = left + gap + i * (colW + gap);
+      let y = top + plotH;
+      order.forEach(cat => {
+        const v = stacks[i].get(cat) || 0;
+        if (!v) return;
+        const h = v / max * plotH;
+        y -= h;
+        const cls = `chart-seg${cat === selected ? ' selected' : ''}`;
+        svg += `<rect class="${cls}" data-cat="${cat === OTHER ? '' : escapeHtml(cat)}" x="${x}" y="${y.toFixed(1)}" width="${colW}" height="${h.toFixed(1)}" fill="${colourFor(cat)}">` +
+          `<title>${escapeHtml(m.label)} · ${escapeHtml(label(cat))}: ${v.toFixed(2)}</title></rect>`;
+      });
+      svg += `<text x="${x + colW / 2}" y="${top + plotH + 16}" text-anchor="middle" class="chart-label">${escapeHtml(m.short || m.label)}</text>`;
+    });
+    svg += '</svg>';
+    el.innerHTML = `<div class="chart-scroll">${svg}</div>` + legendHtml(order);
+    wireClicks(el, onSelect);
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the functions to the global scope
+  // This allows script.js to call: SL_Charts.renderBreakdown(...)
+  window.SL_Charts = { renderBreakdown, renderTrend, colourFor };
+})();
@@ -0,0 +1,256 @@
+// ============================================================================
+// CSV MAPPER MODAL - Column-mapping wizard for unknown bank CSVs
+// ============================================================================
+// Opened by loadCsvText() in script.js when no bank profile matches the file.
+// The user sees the first rows of the CSV, picks which column holds the
+// date / amount / debit / credit / description, the date order and the sign
+// convention, checks a live preview, and saves it as a named profile.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - The wizard never parses money or dates itself: script.js passes a
+//   preview(mapping) callback so there is only one parser in the app
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // HTML TEMPLATE
+  // ============================================================================
+
+  const tpl = `
+  <div class="catpicker-backdrop" id="csvmapBackdrop" role="dialog" aria-modal="true" aria-labelledby="csvmapTitle">
+    <div class="catpicker-dialog wide">
+
+      <!-- Modal Header -->
+      <div class="catpicker-header">
+        <h2 class="catpicker-title" id="csvmapTitle">Map CSV columns</h2>
+        <div id="csvmapFile" class="impreview-summary"></div>
+      </div>
+
+      <!-- Modal Body -->
+      <div class="catpicker-body">
+        <!-- Raw rows from the file -->
+        <div class="csvmap-raw" id="csvmapRaw"></div>
+
+        <!-- Column pickers -->
+        <div class="csvmap-grid" id="csvmapFields"></div>
+
+        <!-- Parsed preview (what will be imported) -->
+        <div id="csvmapPreview"></div>
+      </div>
+
+      <!-- Modal Actions (buttons) -->
+      <div class="catpicker-actions">
+        <button class="catpicker-btn" id="csvmapCancel">Cancel</button>
+        <button class="catpicker-btn primary" id="csvmapSave">Save profile &amp; import</button>
+      </div>
+
+    </div>
+  </div>`;
+
+  // Column roles the user can map (money needs a debit OR an amount column)
+  const FIELDS = [
+    { key: 'date', label: 'Date' },
+    { key: 'description', label: 'Description' },
+    { key: 'debit', label: 'Debit (spend) column' },
+    { key: 'credit', label: 'Credit column' },
+    { key: 'amount', label: 'Single signed amount' }
+  ];
+
+  /**
+   * Ensures the modal HTML exists in the page (created once)
+   */
+  function ensureModal() {
+    if (document.getElementById('csvmapBackdrop')) return;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  /**
+   * Shows the raw CSV rows as a table, highlighting mapped columns
+   * @param {Array<Array>} rows - First rows of the file
+   * @param {Object} mapping - Current mapping (columns + hasHeader)
+   */
+  function renderRaw(rows, mapping) {
+    const width = Math.max(...rows.map(r => r.length));
+    const used = new Map();
+    FIELDS.forEach(f => {
+      const i = mapping.columns[f.key];
+      if (i != null && i >= 0) used.set(i, f.label);
+    });
+    let html = '<table class="impreview-table csvmap-table"><thead><tr>';
+    for (let i = 0; i < width; i++) {
+      html += `<th class="${used.has(i) ? 'csvmap-used' : ''}">#${i + 1}${used.has(i) ? '<br><small>' + escapeHtml(used.get(i)) + '</small>' : ''}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+    rows.forEach((r, ri) => {
+      const isHeader = ri === 0 && mapping.hasHeader;
+      html += `<tr class="${isHeader ? 'csvmap-header-row' : ''}">`;
+      for (let i = 0; i < width; i++) {
+        html += `<td class="${used.has(i) ? 'csvmap-used' : ''}">${escapeHtml(r[i])}</td>`;
+      }
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+    document.getElementById('csvmapRaw').innerHTML = html;
+  }
+
+  /**
+   * Builds the <select>s and options for the mapping
+   * @param {Array<Array>} rows - First rows of the file (for column labels)
+   * @param {Object} mapping - Current mapping (mutated by the controls)
+   * @param {Function} onChange - Called after any control changes
+   */
+  function renderFields(rows, mapping, onChange) {
+    const first = rows[0] || [];
+    const width = Math.max(...rows.map(r => r.length));
+    const colOptions = (selected) => {
+      let html = `<option value="-1"${selected < 0 ? ' selected' : ''}>(none)</option>`;
+      for (let i = 0; i < width; i++) {
+        const label = mapping.hasHeader && first[i] ? `#${i + 1} ${first[i]}` : `#${i + 1}`;
+        html += `<option value="${i}"${selected === i ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+      }
+      return html;
+    };
+
+    let html = `<label class="csvmap-check"><input type="checkbox" id="csvmapHasHeader"${mapping.hasHeader ? ' checked' : ''}> First row is a header</label>`;
+    FIELDS.forEach(f => {
+      html += `<label>${escapeHtml(f.label)}<select data-field="${f.key}">${colOptions(mapping.columns[f.key] ?? -1)}</select></label>`;
+    });
+    html += `<label>Date order<select id="csvmapDateFormat">
+        <option value="auto">Auto (DD/MM/YYYY or YYYY-MM-DD)</option>
+        <option value="DMY">DD/MM/YYYY</option>
+        <option value="MDY">MM/DD/YYYY</option>
+        <option value="YMD">YYYY-MM-DD</option>
+      </select></label>`;
+    html += `<label>Single amount sign<select id="csvmapSign">
+        <option value="negative-spend">Negative = spending</option>
+        <option value="positive-spend">Positive = spending</option>
+      </select></label>`;
+    html += `<label>Profile name<input type="text" id="csvmapName" class="catpicker-search" value="${escapeHtml(mapping.name || '')}" placeholder="e.g. Macquarie Everyday"></label>`;
+
+    const box = document.getElementById('csvmapFields');
+    box.innerHTML = html;
+    document.getElementById('csvmapDateFormat').value = mapping.dateFormat || 'auto';
+    document.getElementById('csvmapSign').value = mapping.amountSign || 'negative-spend';
+
+    box.querySelectorAll('select[data-field]').forEach(sel => {
+      sel.addEventListener('change', () => {
+        mapping.columns[sel.getAttribute('data-field')] = Number(sel.value);
+        onChange();
+      });
+    });
+    document.getElementById('csvmapHasHeader').addEventListener('change', (e) => {
+      mapping.hasHeader = e.target.checked;
+      renderFields(rows, mapping, onChange);
+      onChange();
+    });
+    document.getElementById('csvmapDateFormat').addEventListener('change', (e) => {
+      mapping.dateFormat = e.target.value;
+      onChange();
+    });
+    document.getElementById('csvmapSign').addEventListener('change', (e) => {
+      mapping.amountSign = e.target.value;
+      onChange();
+    });
+    document.getElementById('csvmapName').addEventListener('input', (e) => {
+      mapping.name = e.target.value;
+    });
+  }
+
+  /**
+   * Shows what the current mapping would import
+   * @param {Array} txns - Parsed preview rows from the preview callback
+   */
+  function renderPreview(txns) {
+    const el = document.getElementById('csvmapPreview');
+    if (!txns.length) {
+      el.innerHTML = '<p class="csvmap-warn">No transactions can be read with this mapping yet.</p>';
+      return;
+    }
+    let html = '<strong>Preview</strong><table class="impreview-table"><thead><tr><th>Date</th><th class="num">Amount</th><th>Description</th></tr></thead><tbody>';
+    txns.forEach(t => {
+      html += `<tr><td>${escapeHtml(t.date)}</td><td class="num">${(Number(t.amount) || 0).toFixed(2)}</td><td>${escapeHtml(t.description)}</td></tr>`;
+    });
+    html += '</tbody></table>';
+    el.innerHTML = html;
+  }
+
+  // ============================================================================
+  // MAIN MODAL FUNCTION (PUBLIC API)
+  // ============================================================================
+
+  /**
+   * Opens the CSV mapping wizard
+   *
+   * @param {Object} options - Configuration object
+   * @param {Array<Array>} options.rows - First rows of the CSV (arrays of cells)
+   * @param {string} options.fileName - File name (shown in the header)
+   * @param {Object} options.suggested - Initial mapping { hasHeader, dateFormat, amountSign, columns }
+   * @param {Function} options.preview - preview(mapping) => parsed txns for display
+   * @param {Function} options.onSave - Called with the final mapping (columns as indexes)
+   */
+  function openCsvMapper({rows, fileName = '', suggested, preview, onSave}) {
+    ensureModal();
+
+    const backdrop = document.getElementById('csvmapBackdrop');
+    const btnSave = document.getElementById('csvmapSave');
+    const btnCancel = document.getElementById('csvmapCancel');
+
+    const mapping = {
+      hasHeader: !!suggested.hasHeader,
+      dateFormat: suggested.dateFormat || 'auto',
+      amountSign: suggested.amountSign || 'negative-spend',
+      name: suggested.name || String(fileName || '').replace(/\.[^.]+$/, ''),
+      columns: { ...suggested.columns }
+    };
+
+    document.getElementById('csvmapFile').textContent = fileName
+      ? `${fileName} didn't match a known bank layout. Pick the columns below.`
+      : `This file didn't match a known bank layout. Pick the columns below.`;
+
+    // Preview callbacks expect a profile-shaped object (indexes as column refs)
+    const refresh = () => {
+      renderRaw(rows, mapping);
+      let txns = [];
+      try { txns = preview ? preview(mapping) : []; } catch (e) {}
+      renderPreview(txns);
+    };
+
+    renderFields(rows, mapping, refresh);
+    refresh();
+
+    const close = () => {
+      backdrop.classList.remove('show');
+    };
+
+    btnCancel.onclick = close;
+    backdrop.onclick = (e) => {
+      if (e.target === backdrop) close();
+    };
+
+    btnSave.onclick = () => {
+      const c = mapping.columns;
+      if (c.date < 0 || c.description < 0 || (c.debit < 0 && c.amount < 0)) {
+        alert('Please choose a Date, a Description and either a Debit or an Amount column.');
+        return;
+      }
+      close();
+      onSave && onSave(mapping);
+    };
+
+    backdrop.classList.add('show');
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the main function to the global scope
+  // This allows script.js to call: SL_CsvMapper.openCsvMapper(...)
+  window.SL_CsvMapper = { openCsvMapper };
+})();
@@ -0,0 +1,181 @@
+// ============================================================================
+// IMPORT REVIEW MODAL - Check duplicates before an import is committed
+// ============================================================================
+// Shown by importTxns() in script.js when a new CSV/PDF overlaps the ledger.
+// Rows are grouped into four lists:
+//   - Exact duplicates    (unticked: already in the ledger for this account)
+//   - Probable duplicates (unticked: same account and amount, nearby date, similar text)
+//   - Possible duplicates (ticked: only matched in another account)
+//   - New transactions    (ticked: will be imported)
+// The user can tick/untick any row; only ticked rows are handed to onCommit.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - The modal reuses the catpicker-* "shell" classes so every dialog looks alike
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // HTML TEMPLATE
+  // ============================================================================
+
+  const tpl = `
+  <div class="catpicker-backdrop" id="impreviewBackdrop" role="dialog" aria-modal="true" aria-labelledby="impreviewTitle">
+    <div class="catpicker-dialog wide">
+
+      <!-- Modal Header -->
+      <div class="catpicker-header">
+        <h2 class="catpicker-title" id="impreviewTitle">Review import</h2>
+        <div id="impreviewSummary" class="impreview-summary"></div>
+      </div>
+
+      <!-- Modal Body (groups of rows) -->
+      <div class="catpicker-body impreview-body" id="impreviewBody"></div>
+
+      <!-- Modal Actions (buttons) -->
+      <div class="catpicker-actions">
+        <button class="catpicker-btn" id="impreviewCancel">Cancel import</button>
+        <button class="catpicker-btn primary" id="impreviewCommit">Import ticked rows</button>
+      </div>
+
+    </div>
+  </div>`;
+
+  /**
+   * Ensures the modal HTML exists in the page (created once)
+   */
+  function ensureModal() {
+    if (document.getElementById('impreviewBackdrop')) return;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  // ============================================================================
+  // GROUP RENDERING
+  // ============================================================================
+
+  /**
+   * Builds one collapsible group of rows
+   * @param {string} key - Group key used in checkbox data attributes
+   * @param {string} title - Heading shown to the user
+   * @param {Array} items - [{ txn, match, score }] (match is optional)
+   * @param {boolean} ticked - Default checkbox state for this group
+   * @returns {string} HTML
+   */
+  function groupHtml(key, title, items, ticked) {
+    if (!items.length) return '';
+    const showMatch = items.some(it => it.match);
+    let html = `<details class="impreview-group" ${key === 'fresh' && items.length > 20 ? '' : 'open'}>`;
+    html += `<summary><strong>${escapeHtml(title)}</strong> <span class="impreview-count">${items.length}</span>`;
+    html += ` <button type="button" class="catpicker-page-btn" data-toggle="${key}">Tick / untick all</button></summary>`;
+    html += '<table class="impreview-table"><thead><tr><th></th><th>Date</th><th class="num">Amount</th><th>Description</th>';
+    if (showMatch) html += '<th>Already stored as</th>';
+    html += '</tr></thead><tbody>';
+    items.forEach((it, i) => {
+      const t = it.txn;
+      html += `<tr>
+        <td><input type="checkbox" data-group="${key}" data-i="${i}" ${ticked ? 'checked' : ''}></td>
+        <td>${escapeHtml(t.date)}</td>
+        <td class="num">${(Number(t.amount) || 0).toFixed(2)}</td>
+        <td>${escapeHtml(t.description)}</td>`;
+      if (showMatch) {
+        const m = it.match;
+        const pct = Math.round((it.score || 0) * 100);
+        const otherAccount = m && (m.account || '') !== (t.account || '');
+        html += m
+          ? `<td class="impreview-match">${escapeHtml(m.date)} · ${escapeHtml(m.description)}<br><small>${escapeHtml(m.account || '')} · ${pct}% similar</small>` +
+            (otherAccount ? `<br><small class="impreview-account-diff">stored under another account (importing into ${escapeHtml(t.account || '')})</small>` : '') +
+            '</td>'
+          : '<td></td>';
+      }
+      html += '</tr>';
+    });
+    html += '</tbody></table></details>';
+    return html;
+  }
+
+  // ============================================================================
+  // MAIN MODAL FUNCTION (PUBLIC API)
+  // ============================================================================
+
+  /**
+   * Opens the import review modal
+   *
+   * @param {Object} options - Configuration object
+   * @param {Array} options.exact - [{ txn, match }] exact duplicates of stored txns
+   * @param {Array} options.probable - [{ txn, match, score }] likely duplicates
+   * @param {Array} options.possible - [{ txn, match, score }] matches stored under another account
+   * @param {Array} options.fresh - Plain txns that are not in the ledger
+   * @param {string} options.account - Account label the rows will be imported into
+   * @param {string} options.fileName - Source file name (for the heading)
+   * @param {Function} options.onCommit - Called with the array of ticked txns
+   */
+  function openImportReview({exact = [], probable = [], possible = [], fresh = [], account = '', fileName = '', onCommit}) {
+    ensureModal();
+
+    const backdrop = document.getElementById('impreviewBackdrop');
+    const body = document.getElementById('impreviewBody');
+    const summary = document.getElementById('impreviewSummary');
+    const btnCommit = document.getElementById('impreviewCommit');
+    const btnCancel = document.getElementById('impreviewCancel');
+
+    const groups = {
+      exact: exact,
+      probable: probable,
+      possible: possible,
+      fresh: fresh.map(txn => ({ txn }))
+    };
+
+    summary.textContent = `${fileName ? fileName + ' → ' : ''}${account}: ` +
+      `${exact.length} exact duplicate(s), ${probable.length} probable duplicate(s), ` +
+      `${possible.length} possible duplicate(s) in other accounts, ${fresh.length} new`;
+
+    body.innerHTML =
+      groupHtml('exact', 'Exact duplicates (skipped by default)', groups.exact, false) +
+      groupHtml('probable', 'Probable duplicates (skipped by default)', groups.probable, false) +
+      groupHtml('possible', 'Possible duplicates in another account (imported by default)', groups.possible, true) +
+      groupHtml('fresh', 'New transactions', groups.fresh, true);
+
+    // "Tick / untick all" buttons flip every checkbox in their group
+    body.querySelectorAll('button[data-toggle]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const key = btn.getAttribute('data-toggle');
+        const boxes = body.querySelectorAll(`input[data-group="${key}"]`);
+        const allOn = Array.from(boxes).every(b => b.checked);
+        boxes.forEach(b => { b.checked = !allOn; });
+      });
+    });
+
+    const close = () => {
+      backdrop.classList.remove('show');
+      body.innerHTML = '';
+    };
+
+    btnCancel.onclick = close;
+    backdrop.onclick = (e) => {
+      if (e.target === backdrop) close();
+    };
+
+    btnCommit.onclick = () => {
+      const chosen = [];
+      body.querySelectorAll('input[type="checkbox"][data-group]').forEach(box => {
+        if (!box.checked) return;
+        const item = groups[box.getAttribute('data-group')][Number(box.getAttribute('data-i'))];
+        if (item) chosen.push(item.txn);
+      });
+      close();
+      onCommit && onCommit(chosen);
+    };
+
+    backdrop.classList.add('show');
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the main function to the global scope
+  // This allows script.js to call: SL_ImportReview.openImportReview(...)
+  window.SL_ImportReview = { openImportReview };
+})();
@@ -6,7 +6,7 @@ WHAT THIS FILE IS
 - Core application logic for SpendLite (parsing CSV, categorising transactions, computing totals, and rendering the UI).
 
 BEGINNER MAP OF THE CODE
-- SECTION 1: Constants (column indexes, localStorage keys, page size)
+- SECTION 1: Constants (column indexes, storage keys, page size)
 - SECTION 2: App state (arrays and variables that hold current data)
 - SECTION 3..15: Utility helpers (parsing dates/amounts, sorting rules, exporting, rendering tables/pager, etc.)
 - EVENT WIRING: Code that attaches click/input listeners to elements in index.html
@@ -15,11 +15,11 @@ KEY TAKEAWAYS
 - Keep "pure helpers" (formatting, parsing) separate from "rendering" (DOM updates).
 - Always sanitise and normalise input (e.g., parseAmount to strip commas/currency symbols).
 - Derive UI from state: compute CURRENT_TXNS -> apply rules -> render tables.
-- LocalStorage can persist user data between sessions, but always handle missing/invalid data safely.
+- SL_Store (store.js, IndexedDB) persists user data between sessions, but always handle missing/invalid data safely.
 - Pagination reduces DOM size for large tables and keeps UI snappy.
 
 DEBUGGING CHECKLIST
-- If rules won’t save: check localStorage keys and browser storage limits.
+- If rules won’t save: check the "spendlite" IndexedDB database (DevTools > Application) and browser storage limits.
 - If totals look wrong: log intermediate values (console.log) for the category totals and net.
 - If month filtering fails: verify date parsing (parseDateSmart) recognises your bank’s formats.
 
@@ -32,15 +32,16 @@ CHANGE WITH CONFIDENCE
 // SPENDLITE V6.6.28 - Personal Expense Tracker
 // ============================================================================
 // Changelog (2025-10-19):
-// - NEW: Rules are alphabetized automatically on startup (after rules are loaded).
-// - EXISTING: Rules are alphabetized every time a rule is added/updated.
+// - NEW: Rules are tidied automatically on startup (after rules are loaded).
+// - EXISTING: Rules are tidied every time a rule is added/updated. Their order is
+//   kept: it is the final tie-break when rules compete (see rankRules).
 // ============================================================================
 
 // ============================================================================
 /** BEGINNER_INLINE_DOCS:SECTION 1: CONSTANTS
 * Section overview: constants drive structure and assumptions
 * - COL indexes must match your CSV mapping — change carefully
-* - LS_KEYS names versioned to avoid breaking old localStorage
+* - LS_KEYS names versioned to avoid breaking old saved data (now kept in SL_Store)
 * - PAGE_SIZE controls pagination and DOM size/performance
 */
 // SECTION 1: CONSTANTS AND CONFIGURATION
@@ -62,15 +63,39 @@ const COL = {
 */
 const PAGE_SIZE = 10;
 
+/** BEGINNER_INLINE_DOCS:DUP_WINDOW_DAYS
+* How far apart (in days) two same-amount txns can be and still count as a
+* probable duplicate. Banks post card txns a day or two after the purchase.
+*/
+const DUP_WINDOW_DAYS = 2;
+const DUP_MIN_SIMILARITY = 0.5;
+
 const LS_KEYS = { 
   RULES: 'spendlite_rules_v6626',
   FILTER: 'spendlite_filter_v6626',
   MONTH: 'spendlite_month_v6627',
   TXNS_COLLAPSED: 'spendlite_txns_collapsed_v7',
-  TXNS_JSON: 'spendlite_txns_json_v7'
+  TXNS_JSON: 'spendlite_txns_json_v7',
+  ACCOUNT: 'spendlite_account_v8',
+  BATCHES: 'spendlite_batches_v8',
+  CSV_PROFILES: 'spendlite_csv_profiles_v8',
+  CSV_PROFILE: 'spendlite_csv_profile_v8',
+  RULES_V2: 'spendlite_rules_v2_migrated',
+  OVERRIDES: 'spendlite_overrides_v8',
+  SPLITS: 'spendlite_splits_v8',
+  CHART_TYPE: 'spendlite_chart_type_v8',
+  COMPARE: 'spendlite_compare_v8',
+  RULES_VIEW: 'spendlite_rules_view_v8',
+  COLLAPSED_CATS: 'spendlite_collapsed_cats_v8',
+  TAGS: 'spendlite_tags_v8',
+  EVENTS: 'spendlite_events_v8',
+  TXN_SORT: 'spendlite_txn_sort_v8',
+  RULE_SNAPSHOTS: 'spendlite_rule_snapshots_v8',
+  TXN_MARKS: 'spendlite_txn_marks_v8'
 };
 
 const SAMPLE_RULES = `# Rules format: KEYWORD => CATEGORY
+# Optional conditions: amount<=5  /regex/  -EXCLUDE  day=sat,sun  date>=2025-07-01  account=NAME
 `;
 
 // ============================================================================
@@ -81,7 +106,27 @@ let CURRENT_TXNS = [];
 let CURRENT_RULES = [];
 let CURRENT_FILTER = null;
 let MONTH_FILTER = "";
+let ACCOUNT_FILTER = "";
+let IMPORT_BATCHES = [];
 let CURRENT_PAGE = 1;
+let EXPLAIN_IDX = -1;
+let CATEGORY_OVERRIDES = {};
+let TXN_SPLITS = {};
+let TXN_MARKS = {};    // Left out of every total: { txnId: 'transfer' | 'excluded' }
+let CURRENT_BUDGETS = new Map();
+let BUDGET_EDIT = false;
+let COMPARE_MODE = "";
+let TXN_TAGS = {};     // Manual tags: { txnId: ['usa-trip', ...] }
+let TAG_EVENTS = [];   // Date-range events: [{ tag, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }]
+let SELECTED_TXNS = new Set();           // Bulk selection: txn ids ticked in the table
+let UNDO_STACK = [];                      // Steps that can be undone (see SECTION 13h)
+let REDO_STACK = [];                      // Undone steps that can be redone
+let APPLIED_RULES = null;                 // Rules text used by the last applyRulesAndRender
+let TXN_SEARCH = "";                      // Search box text (see parseTxnSearch)
+let TXN_SORT = { key: '', dir: 1 };       // Table sort: key '' = file order; dir 1 up, -1 down
+let RULE_SNAPSHOTS = [];   // Saved versions of the rules text: [{ at: ISO time, text, note }] oldest first
+let COLLAPSED_CATS = new Set();   // Parent categories folded shut in the totals table
+let RULE_DRAFT = null;   // Rule editor: edited copy of the rules lines (null = no unsaved edits)
 
 // ============================================================================
 // SECTION 3: DATE HELPERS
@@ -97,11 +142,13 @@ function formatMonthLabel(ym) {
 function friendlyMonthOrAll(label) {
   if (!label) return 'All months';
   if (/^\d{4}-\d{2}$/.test(label)) return formatMonthLabel(label);
+  if (typeof label === 'string' && isPeriodSpec(label)) return parsePeriod(label).label;
   return String(label);
 }
 
 function forFilename(label) {
-  return String(label).replace(/\s+/g, '_');
+  // Period labels can contain brackets, commas and dashes (e.g. 'FY 2024–25')
+  return String(label).replace(/[(),…]/g, '').trim().replace(/\s+/g, '_').replace(/[^\w.-]+/g, '-');
 }
 
 // ============================================================================
@@ -129,8 +176,14 @@ function parseAmount(s) {
   return Number(s) || 0;
 }
 
+/** BEGINNER_INLINE_DOCS:escapeHtml
+* Purpose: Make any text safe to put inside an HTML (or SVG) string
+* Why: Descriptions and category names come from bank files and the user; the modal
+*      and chart modules use this too, so there is one escaping rule for the whole app.
+* Edge cases: null/undefined => '' (not the text "null").
+*/
 function escapeHtml(s) {
-  return String(s)
+  return String(s == null ? '' : s)
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
@@ -139,66 +192,38 @@ function escapeHtml(s) {
 }
 
 // ============================================================================
-// SECTION 4b: RULES SORTING
+// SECTION 4b: RULES TIDYING
 // ============================================================================
 
-/**
- * Alphabetize rules in #rulesBox by keyword (case-insensitive).
- * - Preserves comments (# ...) and blank lines by moving them to the top in their
- *   original relative order, followed by the sorted rules block.
- * - Normalizes "KEY => VALUE" to "KEY => VALUE" (1 space around arrow).
- * Returns true if a change was made.
- */
-/** BEGINNER_INLINE_DOCS:sortRulesBox
-* Purpose: Keep rules sorted and normalized
-* Preservation: Keeps comments and blanks at top in original order
-* Normalization: Forces 'KEY => VALUE' uppercased with single spaces.
+/** BEGINNER_INLINE_DOCS:tidyRulesBox
+* Purpose: Keep every rule line in one tidy format, without moving any line
+* Why the order is kept: rules of equal priority and specificity go to the earliest
+*   line (see rankRules), so reordering the box would change which rule wins.
+* Normalization: Forces 'KEY => VALUE' uppercased with single spaces (regex literals keep their case;
+*   #tags are lowercased and category paths spaced as 'A > B'). Comments, blank lines and
+*   lines that aren't rules are left exactly as they are.
+* Returns: true if a change was made.
 */
-function sortRulesBox({silent = false} = {}) {
+function tidyRulesBox({silent = false} = {}) {
   const box = document.getElementById('rulesBox');
   if (!box) return false;
   const original = String(box.value || '');
-  const lines = original.split(/\r?\n/);
-
-  const comments = [];
-  const ruleLines = [];
 
-  for (const line of lines) {
+  const next = original.split(/\r?\n/).map(line => {
     const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) {
-      comments.push(line);
-      continue;
-    }
+    if (!trimmed || trimmed.startsWith('#')) return line;
     // split on first =>
     const parts = line.split(/=>/i);
-    if (parts.length >= 2) {
-      const keyword = parts[0].trim();
-      const category = parts.slice(1).join('=>').trim(); // in case => appears inside
-      if (keyword && category) {
-        ruleLines.push(`${keyword.toUpperCase()} => ${category.toUpperCase()}`);
-      }
-    } else {
-      // Not a valid rule line; keep as comment to avoid data loss
-      comments.push(line);
-    }
-  }
-
-  const sorted = ruleLines.sort((a, b) => {
-    const ka = a.split(/=>/)[0].trim().toLowerCase();
-    const kb = b.split(/=>/)[0].trim().toLowerCase();
-    return ka.localeCompare(kb, undefined, { sensitivity: 'base' });
-  });
-
-  // Reassemble: comments (as-is), blank line if both parts exist, then sorted rules
-  const parts = [];
-  if (comments.length) parts.push(...comments);
-  if (comments.length && sorted.length) parts.push('');
-  if (sorted.length) parts.push(...sorted);
+    if (parts.length < 2) return line;
+    const keyword = parts[0].trim();
+    const category = parts.slice(1).join('=>').trim(); // in case => appears inside
+    if (!keyword || !category) return line;
+    return `${normaliseRuleLeft(keyword)} => ${formatRuleTarget(parseRuleTarget(category))}`;
+  }).join('\n');
 
-  const next = parts.join('\n');
   if (next !== original) {
     box.value = next;
-    try { localStorage.setItem(LS_KEYS.RULES, box.value); } catch {}
+    try { SL_Store.setItem(LS_KEYS.RULES, box.value); } catch {}
     if (!silent) {
       try { box.dispatchEvent(new Event('input', { bubbles: true })); } catch {}
     }
@@ -213,7 +238,7 @@ function sortRulesBox({silent = false} = {}) {
 
 /** BEGINNER_INLINE_DOCS:parseDateSmart
 * Purpose: Accept multiple AU-friendly date formats and return a Date
-* Supported: 'YYYY-MM-DD', 'DD/MM/YYYY', '1 July 2025' (and variants)
+* Supported: 'YYYY-MM-DD', 'DD/MM/YYYY', '1 July 2025', '21 Mar 24' (and variants)
 * Tips: If your bank uses a different format, extend the regex branches here.
 */
 function parseDateSmart(s) {
@@ -235,6 +260,13 @@ function parseDateSmart(s) {
     const mi = monthMap[monthName];
     if (mi != null) return new Date(y, mi, day);
   }
+
+  m = str.match(/^(\d{1,2})[\s-]+(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*[\s-]+(\d{2}|\d{4})$/i);
+  if (m) {
+    const mi = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'].indexOf(m[2].toLowerCase());
+    const y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return new Date(y, mi, +m[1]);
+  }
   return null;
 }
 
@@ -249,6 +281,263 @@ function getFirstTxnMonth(txns = CURRENT_TXNS) {
   return yyyymm(d);
 }
 
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 5b: BANK CSV PROFILES
+* Every bank exports a different CSV layout
+* - A profile says which column holds the date, amount(s) and description
+* - Header profiles are matched by column names; headerless ones by column count
+* - Custom profiles from the mapping wizard are saved in SL_Store and win ties
+*/
+// SECTION 5b: BANK CSV PROFILES
+// ============================================================================
+
+/** BEGINNER_INLINE_DOCS:BANK_PROFILES
+* Built-in layouts. Column refs are header names (case-insensitive; an array means
+* "any of these") or 0-based indexes for headerless files.
+* amountSign: 'negative-spend' = spending shows as a negative single amount.
+*/
+const BANK_PROFILES = [
+  { id: 'spendlite', name: 'SpendLite / converted PDF', hasHeader: true, dateFormat: 'auto',
+    columns: { date: 'Effective Date', debit: 'Debit Amount', credit: 'Credit Amount', description: ['Long Description', 'Description'] } },
+  { id: 'westpac', name: 'Westpac', hasHeader: true, dateFormat: 'DMY',
+    columns: { date: ['Date', 'Transaction Date'], debit: 'Debit Amount', credit: 'Credit Amount', description: ['Narrative', 'Narration'] } },
+  // St.George and ING export the same header names (only the column order differs),
+  // so one profile covers both rather than always reporting the first
+  { id: 'stgeorge', name: 'St.George / ING', hasHeader: true, dateFormat: 'DMY',
+    columns: { date: 'Date', debit: 'Debit', credit: 'Credit', description: 'Description' } },
+  { id: 'nab', name: 'NAB', hasHeader: true, dateFormat: 'DMY', amountSign: 'negative-spend',
+    columns: { date: 'Date', amount: 'Amount', description: ['Transaction Details', 'Merchant Name'] } },
+  { id: 'up', name: 'Up', hasHeader: true, dateFormat: 'YMD', amountSign: 'negative-spend',
+    columns: { date: ['Time', 'Settled Date'], amount: 'Total (AUD)', description: 'Description' } },
+  { id: 'commbank', name: 'CommBank', hasHeader: false, columnCount: 4, dateFormat: 'DMY', amountSign: 'negative-spend',
+    columns: { date: 0, amount: 1, description: 2 } },
+  { id: 'anz', name: 'ANZ', hasHeader: false, columnCount: 3, dateFormat: 'DMY', amountSign: 'negative-spend',
+    columns: { date: 0, amount: 1, description: 2 } }
+];
+
+function loadCustomProfiles() {
+  try {
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.CSV_PROFILES) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(p => p && p.columns) : [];
+  } catch { return []; }
+}
+
+function saveCustomProfiles(list) {
+  try { SL_Store.setItem(LS_KEYS.CSV_PROFILES, JSON.stringify(list || [])); } catch {}
+}
+
+/** BEGINNER_INLINE_DOCS:allCsvProfiles
+* Purpose: Custom profiles first (so they win ties), then the built-ins.
+*/
+function allCsvProfiles() {
+  return [...loadCustomProfiles(), ...BANK_PROFILES];
+}
+
+/** BEGINNER_INLINE_DOCS:resolveColumn
+* Purpose: Turn a profile column ref into a 0-based index (-1 if missing)
+* Accepts: number (index), string (header name) or array of header names.
+*/
+function resolveColumn(ref, headers) {
+  if (ref == null || ref === '') return -1;
+  if (typeof ref === 'number') return ref;
+  const wanted = (Array.isArray(ref) ? ref : [ref]).map(r => String(r).trim().toLowerCase());
+  for (const w of wanted) {
+    const i = headers.findIndex(h => String(h || '').trim().toLowerCase() === w);
+    if (i !== -1) return i;
+  }
+  return -1;
+}
+
+/** BEGINNER_INLINE_DOCS:normaliseCsvDate
+* Purpose: Read a CSV date using the profile's order and return 'YYYY-MM-DD'
+* Formats: 'DMY' (AU default), 'MDY', 'YMD' or 'auto'; 2-digit years mean 20xx.
+* Fallback: parseDateSmart for text dates like '1 July 2025' or '21 Mar 24'.
+*/
+function normaliseCsvDate(value, format = 'auto') {
+  const str = String(value || '').trim();
+  const m = str.match(/^(\d{1,4})[\/.-](\d{1,2})[\/.-](\d{1,4})/);
+  let d = null;
+  if (m) {
+    let y, mo, day;
+    const order = format === 'auto' ? (m[1].length === 4 ? 'YMD' : 'DMY') : format;
+    if (order === 'YMD') { y = m[1]; mo = m[2]; day = m[3]; }
+    else if (order === 'MDY') { mo = m[1]; day = m[2]; y = m[3]; }
+    else { day = m[1]; mo = m[2]; y = m[3]; }
+    const year = String(y).length === 2 ? 2000 + +y : +y;
+    if (+mo >= 1 && +mo <= 12 && +day >= 1 && +day <= 31) d = new Date(year, +mo - 1, +day);
+  } else {
+    d = parseDateSmart(str);
+  }
+  return d && !isNaN(d) ? isoDate(d) : '';
+}
+
+function looksLikeAmount(value) {
+  return /^[-+]?\$?\s*-?[\d,]+(\.\d+)?$/.test(String(value || '').trim());
+}
+
+/** BEGINNER_INLINE_DOCS:detectCsvProfile
+* Purpose: Pick the profile that fits the first row best (or null if none fit)
+* Header files: every required column name must be present; more matches wins.
+* Headerless files: column count matches and row 1 has a date + numeric amount.
+*/
+function detectCsvProfile(rows) {
+  const first = (rows[0] || []).map(c => String(c || '').trim());
+  let best = null, bestScore = 0;
+  for (const p of allCsvProfiles()) {
+    const c = p.columns || {};
+    if (p.hasHeader) {
+      const idx = {
+        date: resolveColumn(c.date, first),
+        description: resolveColumn(c.description, first),
+        money: Math.max(resolveColumn(c.debit, first), resolveColumn(c.amount, first))
+      };
+      if (idx.date < 0 || idx.description < 0 || idx.money < 0) continue;
+      const score = 3 + (resolveColumn(c.credit, first) >= 0 ? 1 : 0) + (resolveColumn(c.amount, first) >= 0 ? 1 : 0);
+      if (score > bestScore) { best = p; bestScore = score; }
+    } else {
+      if (p.columnCount && first.length !== p.columnCount) continue;
+      if (!normaliseCsvDate(first[c.date], p.dateFormat)) continue;
+      const moneyCol = c.amount != null && c.amount !== '' ? c.amount : c.debit;
+      if (!looksLikeAmount(first[moneyCol])) continue;
+      if (bestScore < 1) { best = p; bestScore = 1; }
+    }
+  }
+  return best;
+}
+
+/** BEGINNER_INLINE_DOCS:selectedCsvProfile
+* Purpose: The profile chosen in #csvProfile ('' = auto-detect, so null here).
+*/
+function selectedCsvProfile() {
+  const sel = document.getElementById('csvProfile');
+  const id = sel ? sel.value : '';
+  if (!id) return null;
+  return allCsvProfiles().find(p => p.id === id) || null;
+}
+
+/** BEGINNER_INLINE_DOCS:csvRowsToTxns
+* Purpose: Apply a profile to parsed rows and return {date, amount, description} txns
+* Sign convention (used everywhere in the app): spending is positive, credits and
+* refunds are negative, so summing amounts nets refunds against their category.
+* Money: A filled debit column wins, then a filled credit column; otherwise the single
+*        amount column is read with the profile's sign convention.
+*/
+function csvRowsToTxns(rows, profile) {
+  const headers = profile.hasHeader ? (rows[0] || []) : [];
+  const body = profile.hasHeader ? rows.slice(1) : rows;
+  const c = profile.columns || {};
+  const dateIdx = resolveColumn(c.date, headers);
+  const debitIdx = resolveColumn(c.debit, headers);
+  const creditIdx = resolveColumn(c.credit, headers);
+  const amountIdx = resolveColumn(c.amount, headers);
+  const descIdx = resolveColumn(c.description, headers);
+
+  const txns = [];
+  for (const r of body) {
+    const date = normaliseCsvDate(r[dateIdx], profile.dateFormat);
+    const desc = String(r[descIdx] || '').trim();
+    const debit = debitIdx >= 0 ? Math.abs(parseAmount(r[debitIdx])) : 0;
+    const credit = creditIdx >= 0 ? Math.abs(parseAmount(r[creditIdx])) : 0;
+    let amount = 0;
+    if (debit) {
+      amount = debit;
+    } else if (credit) {
+      amount = -credit;
+    } else if (amountIdx >= 0) {
+      const signed = parseAmount(r[amountIdx]);
+      amount = profile.amountSign === 'positive-spend' ? signed : -signed;
+    }
+    if ((date || desc) && Number.isFinite(amount) && amount !== 0) {
+      txns.push({ date, amount, description: desc });
+    }
+  }
+  return txns;
+}
+
+/** BEGINNER_INLINE_DOCS:guessCsvMapping
+* Purpose: Pre-fill the mapping wizard for an unknown CSV
+* Strategy: Look for tell-tale header words (or a date-looking cell); fall back to
+*           the legacy COL indexes.
+*/
+function guessCsvMapping(rows) {
+  const first = (rows[0] || []).map(c => String(c || '').trim());
+  const hasHeader = !normaliseCsvDate(first.find(Boolean)) && first.some(c => /[a-z]/i.test(c) && !looksLikeAmount(c));
+  const find = (re) => hasHeader ? first.findIndex(h => re.test(h)) : -1;
+  const pick = (i, fallback) => (i >= 0 ? i : (fallback < first.length ? fallback : -1));
+  const sample = (rows[hasHeader ? 1 : 0] || []).map(c => String(c || '').trim());
+  const dateBySample = sample.findIndex(v => v && normaliseCsvDate(v));
+  const amount = find(/^amount$|total|value/i);
+  return {
+    hasHeader,
+    dateFormat: 'auto',
+    amountSign: 'negative-spend',
+    columns: {
+      date: pick(find(/effective date|^date$|date/i), dateBySample >= 0 ? dateBySample : COL.DATE),
+      debit: amount >= 0 ? find(/debit|withdraw/i) : pick(find(/debit|withdraw/i), COL.DEBIT),
+      credit: find(/credit|deposit/i),
+      amount,
+      description: pick(find(/long description|description|narration|details|payee|memo|particulars/i), COL.LONGDESC)
+    }
+  };
+}
+
+/** BEGINNER_INLINE_DOCS:openCsvMappingWizard
+* Purpose: Let the user map an unknown CSV, save it as a custom profile, then retry
+* Saved profiles use header names (so they auto-detect next time) when the file has
+* a header row, and column indexes + column count when it doesn't.
+*/
+function openCsvMappingWizard(rows, fileName, onMapped) {
+  SL_CsvMapper.openCsvMapper({
+    rows: rows.slice(0, 8),
+    fileName,
+    suggested: guessCsvMapping(rows),
+    preview: (mapping) => csvRowsToTxns(rows.slice(0, 8), mapping).slice(0, 5),
+    onSave: (mapping) => {
+      const headers = (rows[0] || []).map(c => String(c || '').trim());
+      const columns = {};
+      for (const [key, idx] of Object.entries(mapping.columns)) {
+        if (idx == null || idx < 0) continue;
+        columns[key] = mapping.hasHeader && headers[idx] ? headers[idx] : idx;
+      }
+      const profile = {
+        id: 'custom-' + Date.now().toString(36),
+        name: mapping.name || fileName || 'Custom CSV',
+        custom: true,
+        hasHeader: !!mapping.hasHeader,
+        columnCount: mapping.hasHeader ? undefined : (rows[0] || []).length,
+        dateFormat: mapping.dateFormat || 'auto',
+        amountSign: mapping.amountSign || 'negative-spend',
+        columns
+      };
+      saveCustomProfiles([...loadCustomProfiles(), profile]);
+      rebuildCsvProfileDropdown();
+      onMapped && onMapped(profile);
+    }
+  });
+}
+
+/** BEGINNER_INLINE_DOCS:rebuildCsvProfileDropdown
+* Purpose: Populate #csvProfile with Auto-detect, custom and built-in profiles.
+*/
+function rebuildCsvProfileDropdown() {
+  const sel = document.getElementById('csvProfile');
+  if (!sel) return;
+  let current = sel.value;
+  try { current = current || SL_Store.getItem(LS_KEYS.CSV_PROFILE) || ''; } catch {}
+  const custom = loadCustomProfiles();
+  let html = `<option value="">Auto-detect bank</option>`;
+  if (custom.length) {
+    html += `<optgroup label="My profiles">` +
+      custom.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('') + `</optgroup>`;
+  }
+  html += `<optgroup label="Banks">` +
+    BANK_PROFILES.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('') + `</optgroup>`;
+  sel.innerHTML = html;
+  sel.value = allCsvProfiles().some(p => p.id === current) ? current : '';
+  const del = document.getElementById('deleteProfileBtn');
+  if (del) del.style.display = custom.some(p => p.id === sel.value) ? '' : 'none';
+}
+
 // ============================================================================
 /** BEGINNER_INLINE_DOCS:SECTION 6: CSV LOADING
 * How CSV becomes app state (CURRENT_TXNS)
@@ -260,124 +549,717 @@ function getFirstTxnMonth(txns = CURRENT_TXNS) {
 // ============================================================================
 
 /** BEGINNER_INLINE_DOCS:loadCsvText
-* Purpose: Turn raw CSV text into CURRENT_TXNS array
+* Purpose: Turn raw CSV text into transactions and append them to the ledger
 * Steps:
-*  1) Parse CSV into rows (skip header row if first amount isn't numeric)
-*  2) Extract Effective Date, Amount, Description using COL indexes
-*  3) Push a {date, amount, description} object for valid rows
-*  4) Save to localStorage and trigger initial rendering
+*  1) Parse CSV into rows (no header assumption; profiles decide)
+*  2) Pick a bank profile: forced choice -> #csvProfile select -> auto-detect
+*  3) Unknown layout? Open the column-mapping wizard and retry with its profile
+*  4) Hand the rows to importTxns (duplicate check, account + batch, save, render)
 * Safety: Ignore rows with missing fields; never throw.
 */
-function loadCsvText(csvText) {
-  const parsed = Papa.parse(csvText.trim(), {
-    header: true,
+function loadCsvText(csvText, { account = '', fileName = '', profile = null } = {}) {
+  const parsed = Papa.parse(String(csvText || '').trim(), {
+    header: false,
     skipEmptyLines: true
   });
+  const rows = (parsed.data || []).filter(r => Array.isArray(r) && r.some(c => String(c || '').trim()));
+  if (!rows.length) return [];
 
-  const rows = parsed.data;
-  const headers = parsed.meta.fields || [];
+  const chosen = profile || selectedCsvProfile() || detectCsvProfile(rows);
+  if (!chosen) {
+    openCsvMappingWizard(rows, fileName, (p) => loadCsvText(csvText, { account, fileName, profile: p }));
+    return [];
+  }
 
-  // Detect columns dynamically
-  const dateField = headers.find(h => /effective date/i.test(h)) || headers[2];
-  const debitField = headers.find(h => /debit amount/i.test(h)) || headers[5];
-  const descField =
-    headers.find(h => /long description/i.test(h)) ||
-    headers.find(h => /^description$/i.test(h)) ||
-    headers[9];
+  const txns = csvRowsToTxns(rows, chosen);
+  importTxns(txns, { account, fileName, bankName: chosen.name, source: 'csv' });
+  return txns;
+}
 
-  const txns = [];
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 6b: ACCOUNTS & IMPORT BATCHES
+* The ledger holds every account's transactions side by side
+* - Each imported txn carries `account` (which bank/card) and `batchId` (which file)
+* - New files are appended, never replace what is already stored
+* - ACCOUNT_FILTER narrows every view to one account ('' = all accounts)
+*/
+// SECTION 6b: ACCOUNTS & IMPORT BATCHES
+// ============================================================================
 
-  for (const r of rows) {
-    if (!r) continue;
+/** BEGINNER_INLINE_DOCS:resolveImportAccount
+* Purpose: Decide which account an import belongs to
+* Order: explicit argument -> #importAccount box; '' when neither is given (importTxns then asks).
+* Why not the file name: monthly statements ('Statement_2025_07.pdf') would each become an account.
+* Why not the bank profile: one profile (e.g. this app's own CSV export) can serve several accounts.
+*/
+function resolveImportAccount(account) {
+  const typed = (document.getElementById('importAccount') || {}).value || '';
+  return String(account || typed || '').trim().toUpperCase();
+}
 
-    const effectiveDate = r[dateField] || '';
-    const debit = parseAmount(r[debitField]);
-    const longDesc = (r[descField] || '').trim();
+/** BEGINNER_INLINE_DOCS:lastImportAccount
+* Purpose: The account of the most recent import, or 'DEFAULT' (the stable fallback).
+*/
+function lastImportAccount() {
+  const last = IMPORT_BATCHES[IMPORT_BATCHES.length - 1];
+  return (last && last.account) || 'DEFAULT';
+}
 
-    if ((effectiveDate || longDesc) && Number.isFinite(debit) && debit !== 0) {
-      txns.push({
-        date: effectiveDate,
-        amount: debit,
-        description: longDesc
-      });
-    }
+/** BEGINNER_INLINE_DOCS:suggestedImportAccount
+* Purpose: Pre-filled answer for the "Which account?" prompt
+* Order: last account imported into -> bank profile name -> 'DEFAULT'. Only a suggestion; the user confirms it.
+*/
+function suggestedImportAccount(bankName = '') {
+  if (IMPORT_BATCHES.length) return lastImportAccount();
+  return String(bankName || '').trim().toUpperCase() || 'DEFAULT';
+}
+
+function makeBatchId() {
+  return 'b' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** BEGINNER_INLINE_DOCS:ensureLedgerLoaded
+* Purpose: If this session has nothing loaded yet, read the stored ledger first
+* Why: An import must never wipe out another account's saved transactions.
+*/
+function ensureLedgerLoaded() {
+  if (!CURRENT_TXNS.length) CURRENT_TXNS = readStoredTxns();
+}
+
+/** BEGINNER_INLINE_DOCS:importTxns
+* Purpose: Entry point for every import (CSV and PDF)
+* Account: Asked for (see suggestedImportAccount) unless passed in or typed in #importAccount.
+* Steps: stamp account -> compare with ledger -> review dialog if anything overlaps -> append
+* UX: Clean imports (no duplicates) go straight in without a dialog.
+*/
+function importTxns(txns, { account = '', fileName = '', bankName = '', source = 'csv' } = {}) {
+  let acct = resolveImportAccount(account);
+  if (!acct) {
+    const suggested = suggestedImportAccount(bankName);
+    const answer = prompt(`Which account is ${fileName || 'this import'} from?`, toTitleCase(suggested));
+    if (answer === null) return null;
+    acct = answer.trim().toUpperCase() || suggested;
   }
+  for (const t of txns) t.account = acct;
+  ensureLedgerLoaded();
 
-  CURRENT_TXNS = txns;
-  saveTxnsToLocalStorage();
-  try { updateMonthBanner(); } catch {}
+  const review = classifyImport(txns, CURRENT_TXNS);
+  const commit = (chosen) => {
+    if (!chosen.length) { showSaveStatus('ℹ Nothing new to import', 'info'); return null; }
+    return appendImportedTxns(chosen, { account: acct, fileName, source });
+  };
+  if (!review.exact.length && !review.probable.length && !review.possible.length) return commit(txns);
+
+  SL_ImportReview.openImportReview({
+    ...review,
+    account: toTitleCase(acct),
+    fileName,
+    onCommit: commit
+  });
+  return null;
+}
+
+/** BEGINNER_INLINE_DOCS:appendImportedTxns
+* Purpose: Add reviewed txns to the ledger as one import batch
+* Steps: stamp account + batchId -> append to CURRENT_TXNS -> record batch -> save -> re-render
+*/
+function appendImportedTxns(txns, { account = '', fileName = '', source = 'csv' } = {}) {
+  const acct = resolveImportAccount(account) || lastImportAccount();
+  const batch = {
+    id: makeBatchId(),
+    account: acct,
+    source,
+    fileName: fileName || '',
+    importedAt: new Date().toISOString(),
+    count: txns.length
+  };
+
+  ensureLedgerLoaded();
+  recordUndo(`Import ${txns.length} transaction${txns.length === 1 ? '' : 's'}${fileName ? ' from ' + fileName : ''}`);
+  for (const t of txns) {
+    t.account = acct;
+    t.batchId = batch.id;
+  }
+  assignTxnIds(txns, CURRENT_TXNS);
+  CURRENT_TXNS.push(...txns);
+  IMPORT_BATCHES.push(batch);
+
+  saveTxnsToStore();
+  saveBatchesToStore();
+  rebuildAccountDropdown();
   rebuildMonthDropdown();
   applyRulesAndRender();
+  return batch;
+}
+
+/** BEGINNER_INLINE_DOCS:listAccounts
+* Purpose: Unique account names present in the ledger (sorted).
+*/
+function listAccounts() {
+  const set = new Set();
+  for (const t of CURRENT_TXNS) set.add(t.account || 'DEFAULT');
+  return Array.from(set).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+/** BEGINNER_INLINE_DOCS:rebuildAccountDropdown
+* Purpose: Populate the account filter <select> and the import account suggestions
+* UX: Keeps the current account if it still exists; otherwise falls back to 'All accounts'.
+*/
+function rebuildAccountDropdown() {
+  const accounts = listAccounts();
+  const sel = document.getElementById('accountFilter');
+  if (sel) {
+    sel.innerHTML = `<option value="">All accounts</option>` +
+      accounts.map(a => `<option value="${escapeHtml(a)}">${escapeHtml(toTitleCase(a))}</option>`).join('');
+    if (ACCOUNT_FILTER && !accounts.includes(ACCOUNT_FILTER) && accounts.length) ACCOUNT_FILTER = "";
+    sel.value = ACCOUNT_FILTER && accounts.includes(ACCOUNT_FILTER) ? ACCOUNT_FILTER : "";
+  }
+  const list = document.getElementById('accountOptions');
+  if (list) list.innerHTML = accounts.map(a => `<option value="${escapeHtml(a)}"></option>`).join('');
+}
+
+/** BEGINNER_INLINE_DOCS:accountFilteredTxns
+* Purpose: Filter CURRENT_TXNS by ACCOUNT_FILTER
+* Note: If no account is set, return the whole ledger.
+*/
+function accountFilteredTxns() {
+  if (!ACCOUNT_FILTER) return CURRENT_TXNS;
+  return CURRENT_TXNS.filter(t => (t.account || 'DEFAULT') === ACCOUNT_FILTER);
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 6c: DUPLICATE DETECTION
+* Statement periods overlap, so the same purchase can arrive twice
+* - Exact duplicate: same date, amount, normalised description and account
+* - Probable duplicate: same account and amount within DUP_WINDOW_DAYS and a similar description
+* - Possible duplicate: an exact or probable match, but stored under another account.
+*   Shown for a look, but imported by default (the same charge can hit two banks).
+* - Everything else is new and imported as-is
+*/
+// SECTION 6c: DUPLICATE DETECTION
+// ============================================================================
+
+/** BEGINNER_INLINE_DOCS:normaliseDescription
+* Purpose: Reduce a description to the words that identify the merchant
+* Strips: punctuation, card/reference numbers (4+ digits) and bank noise words.
+*/
+function normaliseDescription(desc) {
+  const noise = new Set(['aus', 'au', 'visa', 'pypl', 'eftpos', 'purchase', 'card', 'debit', 'credit']);
+  return String(desc || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(tok => tok && !/^\d{4,}$/.test(tok) && !noise.has(tok))
+    .join(' ');
+}
+
+function isoDate(d) {
+  return `${yyyymm(d)}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** BEGINNER_INLINE_DOCS:txnFingerprint
+* Purpose: A string that is identical for two copies of the same transaction
+* Parts: ISO date | amount (2dp) | normalised description | account.
+*/
+function txnFingerprint(t) {
+  const d = parseDateSmart(t.date);
+  const day = d && !isNaN(d) ? isoDate(d) : String(t.date || '');
+  const amt = (Number(t.amount) || 0).toFixed(2);
+  return `${day}|${amt}|${normaliseDescription(t.description)}|${t.account || 'DEFAULT'}`;
+}
+
+/** BEGINNER_INLINE_DOCS:hashString
+* Purpose: Short, stable hash (FNV-1a, base 36) used to build transaction IDs.
+*/
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+/** BEGINNER_INLINE_DOCS:assignTxnIds
+* Purpose: Give every txn a stable `id` (kept forever once assigned)
+* Recipe: hash of the fingerprint, plus '-2', '-3'... for genuine repeats
+*         (two identical coffees on the same day get different IDs).
+* Used by: manual category overrides and anything else keyed per transaction.
+*/
+function assignTxnIds(txns, existing = []) {
+  const taken = new Set(existing.map(t => t.id).filter(Boolean));
+  for (const t of txns) {
+    if (t.id && !taken.has(t.id)) { taken.add(t.id); continue; }
+    const base = 't' + hashString(txnFingerprint(t));
+    let id = base, n = 1;
+    while (taken.has(id)) id = `${base}-${++n}`;
+    t.id = id;
+    taken.add(id);
+  }
   return txns;
 }
 
+/** BEGINNER_INLINE_DOCS:descriptionSimilarity
+* Purpose: 0..1 word-overlap score (Jaccard) between two descriptions.
+*/
+function descriptionSimilarity(a, b) {
+  const ta = new Set(normaliseDescription(a).split(' ').filter(Boolean));
+  const tb = new Set(normaliseDescription(b).split(' ').filter(Boolean));
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  for (const tok of ta) if (tb.has(tok)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+/** BEGINNER_INLINE_DOCS:classifyImport
+* Purpose: Split incoming txns into { exact, probable, possible, fresh } against the ledger
+* Counting: Each stored txn can only "absorb" one incoming copy, so two genuine
+*           identical coffees on the same day are not both flagged.
+* Accounts: A match in the same account wins; one only found in another account is "possible".
+* Output: exact/probable/possible items are { txn, match, score }; fresh is a plain txn list.
+*/
+function classifyImport(incoming, ledger) {
+  const byPrint = new Map();
+  for (const t of ledger) {
+    const fp = txnFingerprint(t);
+    if (!byPrint.has(fp)) byPrint.set(fp, []);
+    byPrint.get(fp).push(t);
+  }
+  const used = new Set();
+  const exact = [], probable = [], possible = [], fresh = [];
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  for (const t of incoming) {
+    const twins = byPrint.get(txnFingerprint(t)) || [];
+    const twin = twins.find(x => !used.has(x));
+    if (twin) {
+      used.add(twin);
+      exact.push({ txn: t, match: twin, score: 1 });
+      continue;
+    }
+
+    const d = parseDateSmart(t.date);
+    const amt = (Number(t.amount) || 0).toFixed(2);
+    // Best candidate per side: same account (probable) and any other account (possible)
+    const best = { same: null, other: null }, bestScore = { same: 0, other: 0 };
+    for (const x of ledger) {
+      if (used.has(x) || (Number(x.amount) || 0).toFixed(2) !== amt) continue;
+      const dx = parseDateSmart(x.date);
+      if (!d || !dx || Math.abs(d - dx) > DUP_WINDOW_DAYS * dayMs) continue;
+      const score = descriptionSimilarity(t.description, x.description);
+      const side = (x.account || 'DEFAULT') === (t.account || 'DEFAULT') ? 'same' : 'other';
+      if (score >= DUP_MIN_SIMILARITY && score > bestScore[side]) { best[side] = x; bestScore[side] = score; }
+    }
+    if (best.same) {
+      used.add(best.same);
+      probable.push({ txn: t, match: best.same, score: bestScore.same });
+    } else if (best.other) {
+      used.add(best.other);
+      possible.push({ txn: t, match: best.other, score: bestScore.other });
+    } else {
+      fresh.push(t);
+    }
+  }
+  return { exact, probable, possible, fresh };
+}
 
 // ============================================================================
 // SECTION 7: MONTH FILTERING
 // ============================================================================
 
+/** BEGINNER_INLINE_DOCS:listDataMonths
+* Purpose: Sorted unique 'YYYY-MM' values for the selected account(s)
+*/
+function listDataMonths() {
+  const months = new Set();
+  for (const t of accountFilteredTxns()) {
+    const d = parseDateSmart(t.date);
+    if (d && !isNaN(d)) months.add(yyyymm(d));
+  }
+  return Array.from(months).sort();
+}
+
 /** BEGINNER_INLINE_DOCS:rebuildMonthDropdown
-* Purpose: Extract unique months from CURRENT_TXNS and populate the <select>
+* Purpose: Fill the period <select> from the months of the selected account(s)
+* Groups: months, quarters, financial years, calendar years, recent, custom
 * UX: Keeps current selection if still valid; otherwise resets to 'All months'.
 */
 function rebuildMonthDropdown() {
   const sel = document.getElementById('monthFilter');
-  const months = new Set();
-  for (const t of CURRENT_TXNS) {
-    const d = parseDateSmart(t.date);
-    if (d) months.add(yyyymm(d));
-  }
-  const list = Array.from(months).sort();
-  const current = MONTH_FILTER;
-  sel.innerHTML = `<option value="">All months</option>` + 
+  const list = listDataMonths();
+  const quarters = [...new Set(list.map(ym => `${ym.slice(0, 4)}-Q${Math.ceil(Number(ym.slice(5)) / 3)}`))];
+  const fys = [...new Set(list.map(ym => 'FY' + (Number(ym.slice(0, 4)) + (Number(ym.slice(5)) >= 7 ? 1 : 0))))];
+  const years = [...new Set(list.map(ym => 'CY' + ym.slice(0, 4)))];
+  const group = (label, specs) => specs.length
+    ? `<optgroup label="${label}">` + specs.map(v => `<option value="${v}">${escapeHtml(parsePeriod(v).label)}</option>`).join('') + '</optgroup>'
+    : '';
+
+  // A single month that no longer exists (e.g. after switching account) falls back to all months
+  if (/^\d{4}-\d{2}$/.test(MONTH_FILTER) && !list.includes(MONTH_FILTER)) MONTH_FILTER = "";
+
+  sel.innerHTML = `<option value="">All months</option>` +
+    group('Months', list) +
+    group('Quarters', quarters) +
+    group('Financial years (Jul–Jun)', fys) +
+    group('Calendar years', years) +
+    group('Recent', list.length ? ['LAST-3', 'LAST-6', 'LAST-12'] : []) +
+    `<optgroup label="Custom"><option value="${PERIOD_CUSTOM.RANGE}">Date range…</option>` +
+    `<option value="${PERIOD_CUSTOM.MULTI}">Several months…</option></optgroup>`;
+
+  document.getElementById('periodMonths').innerHTML =
     list.map(m => `<option value="${m}">${formatMonthLabel(m)}</option>`).join('');
-  sel.value = current && list.includes(current) ? current : "";
+  syncPeriodControls();
   updateMonthBanner();
 }
 
 /** BEGINNER_INLINE_DOCS:monthFilteredTxns
-* Purpose: Filter CURRENT_TXNS by MONTH_FILTER (YYYY-MM)
-* Note: If no month is set, return all transactions.
+* Purpose: Filter the selected account(s) by the period in MONTH_FILTER
+* Note: If no period is set, return all transactions for the account(s).
 */
 function monthFilteredTxns() {
-  if (!MONTH_FILTER) return CURRENT_TXNS;
-  return CURRENT_TXNS.filter(t => {
-    const d = parseDateSmart(t.date);
-    return d && yyyymm(d) === MONTH_FILTER;
+  const txns = accountFilteredTxns();
+  if (!MONTH_FILTER) return txns;
+  const period = parsePeriod(MONTH_FILTER);
+  return txns.filter(t => periodContains(period, parseDateSmart(t.date)));
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 7b: PERIODS
+* MONTH_FILTER holds a short "period spec" string (saved under LS_KEYS.MONTH):
+*   ''                        all months
+*   '2025-07'                 one month
+*   '2025-Q3'                 calendar quarter (Jul–Sep 2025)
+*   'FY2025'                  Australian financial year 1 Jul 2024 – 30 Jun 2025
+*   'CY2025'                  calendar year
+*   'LAST-6'                  last 6 months, ending at the newest month with data
+*   '2025-07-01..2025-09-15'  custom date range (either end may be blank)
+*   '2025-01,2025-03'         several hand-picked months
+*/
+// SECTION 7b: PERIODS
+// ============================================================================
+
+const PERIOD_CUSTOM = { RANGE: '__range', MULTI: '__multi' };
+
+/** BEGINNER_INLINE_DOCS:isPeriodSpec
+* Purpose: True when a string looks like one of the period specs above.
+*/
+function isPeriodSpec(spec) {
+  return /^(\d{4}-\d{2}|\d{4}-Q[1-4]|FY\d{4}|CY\d{4}|LAST-\d+|(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?|\d{4}-\d{2}(,\d{4}-\d{2})+)$/.test(String(spec || ''));
+}
+
+/** BEGINNER_INLINE_DOCS:lastDayOfMonth
+* Purpose: 'YYYY-MM' -> 'YYYY-MM-DD' of the month's last day.
+*/
+function lastDayOfMonth(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  return `${ym}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}`;
+}
+
+/** BEGINNER_INLINE_DOCS:shiftMonth
+* Purpose: Move a 'YYYY-MM' forwards/backwards by n months.
+*/
+function shiftMonth(ym, n) {
+  const [y, m] = ym.split('-').map(Number);
+  return yyyymm(new Date(y, m - 1 + n, 1));
+}
+
+/** BEGINNER_INLINE_DOCS:parsePeriod
+* Purpose: Turn a period spec into { spec, from, to, months, label }
+* from/to: inclusive ISO dates ('' = open end); months: Set of 'YYYY-MM' for multi-month picks.
+*/
+function parsePeriod(spec) {
+  spec = String(spec || '');
+  const p = { spec, from: '', to: '', months: null, label: 'All months' };
+  let m;
+  if (!spec) return p;
+  if ((m = spec.match(/^(\d{4})-(\d{2})$/))) {
+    p.from = `${spec}-01`; p.to = lastDayOfMonth(spec); p.label = formatMonthLabel(spec);
+  } else if ((m = spec.match(/^(\d{4})-Q([1-4])$/))) {
+    const first = `${m[1]}-${String((m[2] - 1) * 3 + 1).padStart(2, '0')}`;
+    p.from = `${first}-01`; p.to = lastDayOfMonth(shiftMonth(first, 2)); p.label = `Q${m[2]} ${m[1]}`;
+  } else if ((m = spec.match(/^FY(\d{4})$/))) {
+    const end = Number(m[1]);
+    p.from = `${end - 1}-07-01`; p.to = `${end}-06-30`; p.label = `FY ${end - 1}–${String(end).slice(2)}`;
+  } else if ((m = spec.match(/^CY(\d{4})$/))) {
+    p.from = `${m[1]}-01-01`; p.to = `${m[1]}-12-31`; p.label = m[1];
+  } else if ((m = spec.match(/^LAST-(\d+)$/))) {
+    const n = Math.max(1, Number(m[1]));
+    const months = typeof CURRENT_TXNS !== 'undefined' ? listDataMonths() : [];
+    const last = months.length ? months[months.length - 1] : yyyymm(new Date());
+    p.from = `${shiftMonth(last, 1 - n)}-01`; p.to = lastDayOfMonth(last);
+    p.label = `Last ${n} months (to ${formatMonthLabel(last)})`;
+  } else if ((m = spec.match(/^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/))) {
+    p.from = m[1] || ''; p.to = m[2] || '';
+    p.label = `${p.from || 'start'} to ${p.to || 'latest'}`;
+  } else if (spec.includes(',')) {
+    p.months = new Set(spec.split(',').filter(Boolean));
+    const sorted = [...p.months].sort();
+    p.label = sorted.length > 3
+      ? `${sorted.length} months (${formatMonthLabel(sorted[0])} … ${formatMonthLabel(sorted[sorted.length - 1])})`
+      : sorted.map(formatMonthLabel).join(', ');
+  } else {
+    p.label = spec;
+  }
+  return p;
+}
+
+/** BEGINNER_INLINE_DOCS:periodContains
+* Purpose: Is this Date inside the parsed period?
+*/
+function periodContains(period, d) {
+  if (!d || isNaN(d)) return false;
+  if (period.months) return period.months.has(yyyymm(d));
+  const day = isoDate(d);
+  return (!period.from || day >= period.from) && (!period.to || day <= period.to);
+}
+
+/** BEGINNER_INLINE_DOCS:periodMonthList
+* Purpose: Every 'YYYY-MM' a period covers (open ends use the first/last data month)
+* Use: Budgets multiply the monthly amount by this many months.
+*/
+function periodMonthList(spec, dataMonths = listDataMonths()) {
+  const period = parsePeriod(spec);
+  if (period.months) return [...period.months].sort();
+  const first = period.from ? period.from.slice(0, 7) : dataMonths[0];
+  const last = period.to ? period.to.slice(0, 7) : dataMonths[dataMonths.length - 1];
+  return monthRange(first, last);
+}
+
+/** BEGINNER_INLINE_DOCS:syncPeriodControls
+* Purpose: Show the select value and the custom range / month pickers for MONTH_FILTER.
+*/
+function syncPeriodControls() {
+  const sel = document.getElementById('monthFilter');
+  const rangeBox = document.getElementById('periodRange');
+  const multiBox = document.getElementById('periodMulti');
+  const period = parsePeriod(MONTH_FILTER);
+  const isRange = /\.\./.test(MONTH_FILTER);
+  const isMulti = !!period.months;
+  const hasOption = Array.from(sel.options).some(o => o.value === MONTH_FILTER);
+  if (isRange) sel.value = PERIOD_CUSTOM.RANGE;
+  else if (isMulti) sel.value = PERIOD_CUSTOM.MULTI;
+  else if (!hasOption && MONTH_FILTER) {
+    // e.g. a saved FY with no data for this account: keep it selectable
+    sel.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(MONTH_FILTER)}">${escapeHtml(period.label)}</option>`);
+    sel.value = MONTH_FILTER;
+  } else sel.value = MONTH_FILTER;
+
+  rangeBox.style.display = sel.value === PERIOD_CUSTOM.RANGE ? '' : 'none';
+  multiBox.style.display = sel.value === PERIOD_CUSTOM.MULTI ? '' : 'none';
+  if (isRange) {
+    document.getElementById('periodFrom').value = period.from;
+    document.getElementById('periodTo').value = period.to;
+  }
+  Array.from(document.getElementById('periodMonths').options).forEach(o => {
+    o.selected = isMulti && period.months.has(o.value);
   });
 }
 
+/** BEGINNER_INLINE_DOCS:setPeriod
+* Purpose: Change MONTH_FILTER, persist it and re-render everything that depends on it.
+*/
+function setPeriod(spec) {
+  MONTH_FILTER = spec && isPeriodSpec(spec) ? spec : "";
+  try {
+    if (MONTH_FILTER) SL_Store.setItem(LS_KEYS.MONTH, MONTH_FILTER);
+    else SL_Store.removeItem(LS_KEYS.MONTH);
+  } catch {}
+  syncPeriodControls();
+  updateMonthBanner();
+  CURRENT_PAGE = 1;
+  applyRulesAndRender();
+}
+
 // ============================================================================
 /** BEGINNER_INLINE_DOCS:SECTION 8: RULES
 * Rule engine and matching strategy
 * - Rules are case-insensitive 'KEYWORD => CATEGORY' lines
 * - We match whole tokens to avoid false positives
-* - Keep rules simple; first match wins in many tools, we scan all
+* - Extra conditions can narrow a rule (amount, regex, -exclude, day, date, account)
+* - Precedence: higher !priority first, then the most specific rule, then the earliest line
 */
 // SECTION 8: RULES
 // ============================================================================
 
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** BEGINNER_INLINE_DOCS:tokenizeRuleLeft
+* Purpose: Split the left side of a rule into tokens
+* Keeps /regex literals/ (which may contain spaces) and account="QUOTED NAMES" whole.
+*/
+function tokenizeRuleLeft(left) {
+  const text = String(left || '');
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) { i++; continue; }
+    if (text[i] === '/') {
+      let j = i + 1, escaped = false;
+      while (j < text.length) {
+        const ch = text[j];
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '/') break;
+        j++;
+      }
+      if (j < text.length && j > i + 1) {
+        let k = j + 1;
+        while (k < text.length && /[a-z]/i.test(text[k])) k++;
+        tokens.push(text.slice(i, k));
+        i = k;
+        continue;
+      }
+    }
+    let j = i, quoted = false;
+    while (j < text.length && (quoted || !/\s/.test(text[j]))) {
+      if (text[j] === '"') quoted = !quoted;
+      j++;
+    }
+    tokens.push(text.slice(i, j));
+    i = j;
+  }
+  return tokens;
+}
+
+function isRegexToken(tok) {
+  return /^\/.+\/[a-z]*$/i.test(tok);
+}
+
+/** BEGINNER_INLINE_DOCS:normaliseRuleLeft
+* Purpose: Uppercase the left side of a rule for tidy storage
+* Why: Regex literals are left untouched (\s and \S mean different things!).
+*/
+function normaliseRuleLeft(left) {
+  return tokenizeRuleLeft(left).map(tok => isRegexToken(tok) ? tok : tok.toUpperCase()).join(' ');
+}
+
+/** BEGINNER_INLINE_DOCS:parseDaySpec
+* Purpose: 'sat,sun' or 'mon-fri' -> Set of day numbers (0 = Sunday)
+*/
+function parseDaySpec(spec) {
+  const days = new Set();
+  for (const part of String(spec).toLowerCase().split(',')) {
+    const [a, b] = part.split('-').map(x => DAY_NAMES.indexOf(x.trim().slice(0, 3)));
+    if (a < 0 || (b !== undefined && b < 0)) return null;
+    if (b === undefined) { days.add(a); continue; }
+    for (let d = a; ; d = (d + 1) % 7) { days.add(d); if (d === b) break; }
+  }
+  return days.size ? days : null;
+}
+
+/** BEGINNER_INLINE_DOCS:applyRangeCondition
+* Purpose: Fold 'op value' (or 'a..b') into a {min, max, minExclusive, maxExclusive} range.
+*/
+function applyRangeCondition(range, op, value, upper) {
+  const r = range || {};
+  if (upper !== undefined) { r.min = value; r.max = upper; return r; }
+  if (op === '=') { r.min = value; r.max = value; }
+  else if (op === '>=') { r.min = value; r.minExclusive = false; }
+  else if (op === '>') { r.min = value; r.minExclusive = true; }
+  else if (op === '<=') { r.max = value; r.maxExclusive = false; }
+  else if (op === '<') { r.max = value; r.maxExclusive = true; }
+  return r;
+}
+
+function inRange(v, r) {
+  if (!r) return true;
+  if (r.min !== undefined && (r.minExclusive ? v <= r.min : v < r.min)) return false;
+  if (r.max !== undefined && (r.maxExclusive ? v >= r.max : v > r.max)) return false;
+  return true;
+}
+
+/** BEGINNER_INLINE_DOCS:parseRuleLine
+* Purpose: Turn one rules line into a rule object (or null if it isn't a valid rule)
+* Grammar (left of '=>', space separated, any order):
+*   WORDS              plain keywords, matched as whole tokens (unchanged behaviour)
+*   /regex/            regular expression on the description (always case-insensitive)
+*   -WORD              the description must NOT contain WORD
+*   amount<=5          also <, >, >=, = and ranges amount=5..20 (size of the amount)
+*   day=sat,sun        or ranges day=mon-fri
+*   date>=2025-07-01   also <=, <, >, = and ranges date=2025-07-01..2025-07-31
+*   account=NAME       only txns from that account (use "QUOTES" or _ for spaces)
+*   !5                 explicit priority (default 0; higher wins, negatives allowed)
+* Examples: 'AMPOL amount<=5 => COFFEE', 'UBER -EATS => TRANSPORT', 'PAYPAL !10 => NOT SURE'
+*/
+function parseRuleLine(line) {
+  const trimmed = String(line || '').trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  const arrow = trimmed.indexOf('=>');
+  if (arrow === -1) return null;
+  const left = trimmed.slice(0, arrow).trim();
+  const { category, tags } = parseRuleTarget(trimmed.slice(arrow + 2));
+  if (!left || !category) return null;
+
+  const rule = { keyword: '', category, tags, regex: null, exclude: [], amount: null, days: null, date: null, account: null, priority: 0, source: left };
+  const words = [];
+  for (const tok of tokenizeRuleLeft(left)) {
+    let m;
+    if (isRegexToken(tok)) {
+      const last = tok.lastIndexOf('/');
+      const flags = tok.slice(last + 1).toLowerCase().replace(/[^imsu]/g, '');
+      try { rule.regex = new RegExp(tok.slice(1, last), flags.includes('i') ? flags : flags + 'i'); }
+      catch { return null; }
+    } else if ((m = tok.match(/^amount(<=|>=|<|>|=)(-?\d+(?:\.\d+)?)(?:\.\.(-?\d+(?:\.\d+)?))?$/i))) {
+      rule.amount = applyRangeCondition(rule.amount, m[1], Number(m[2]), m[3] !== undefined ? Number(m[3]) : undefined);
+    } else if ((m = tok.match(/^day=([a-z,\-]+)$/i))) {
+      rule.days = parseDaySpec(m[1]);
+      if (!rule.days) return null;
+    } else if ((m = tok.match(/^date(<=|>=|<|>|=)(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?$/i))) {
+      rule.date = applyRangeCondition(rule.date, m[1], m[2], m[3]);
+    } else if ((m = tok.match(/^account=(?:"([^"]*)"|(\S+))$/i))) {
+      rule.account = (m[1] !== undefined ? m[1] : m[2].replace(/_/g, ' ')).trim().toUpperCase();
+    } else if ((m = tok.match(/^!(-?\d+)$/))) {
+      rule.priority = Number(m[1]);
+    } else if (tok.length > 1 && tok.startsWith('-')) {
+      rule.exclude.push(tok.slice(1).toLowerCase());
+    } else {
+      words.push(tok.toLowerCase());
+    }
+  }
+  rule.keyword = words.join(' ');
+  const hasCondition = rule.amount || rule.days || rule.date || rule.account;
+  if (!rule.keyword && !rule.regex && !hasCondition) return null;
+  return rule;
+}
+
+/** BEGINNER_INLINE_DOCS:parseRuleTarget
+* Purpose: Split the right-hand side of a rule into category and tags
+* Example: 'takeaway #usa-trip' -> { category: 'TAKEAWAY', tags: ['usa-trip'] }
+*/
+function parseRuleTarget(text) {
+  const words = String(text || '').trim().split(/\s+/);
+  const tags = words.filter(w => w.length > 1 && w.startsWith('#')).map(normaliseTag).filter(Boolean);
+  const category = normaliseCategoryPath(words.filter(w => !(w.length > 1 && w.startsWith('#'))).join(' '));
+  return { category, tags: [...new Set(tags)] };
+}
+
+/** BEGINNER_INLINE_DOCS:formatRuleTarget
+* Purpose: The reverse of parseRuleTarget: 'TAKEAWAY #usa-trip'
+*/
+function formatRuleTarget({ category, tags = [] }) {
+  return [category, ...tags.map(t => '#' + t)].join(' ');
+}
+
 /** BEGINNER_INLINE_DOCS:parseRules
-* Purpose: Convert rules text into [{ keyword, category }] objects
-* Format: 'KEYWORD => CATEGORY' per line (case-insensitive)
-* Notes: Ignores comments (# ...) and blank lines; trims whitespace.
+* Purpose: Convert rules text into rule objects (see parseRuleLine for the grammar)
+* Format: 'KEYWORD => CATEGORY' per line (case-insensitive); plain lines work as before
+* Notes: Ignores comments (# ...), blank lines and lines that don't parse.
 */
 function parseRules(text) {
   const lines = String(text || "").split(/\r?\n/);
   const rules = [];
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    const parts = trimmed.split(/=>/i);
-    if (parts.length >= 2) {
-      const keyword = parts[0].trim().toLowerCase();
-      const category = parts[1].trim().toUpperCase();
-      if (keyword && category) rules.push({ keyword, category });
-    }
-  }
+  lines.forEach((line, i) => {
+    const rule = parseRuleLine(line);
+    if (rule) { rule.line = i + 1; rules.push(rule); }
+  });
   return rules;
 }
 
+// Compiled keyword regexes (see matchesKeyword). Emptied when it reaches the limit, so
+// keywords typed into search, triage or the rule table don't pile up for the whole session.
+const KEYWORD_RE_CACHE = new Map();
+const KEYWORD_RE_CACHE_LIMIT = 2000;
+
 /** BEGINNER_INLINE_DOCS:matchesKeyword
 * Purpose: Check if a transaction description matches a rule keyword
 * Strategy: Token-based, whole-word-ish matches using regex boundaries
@@ -386,213 +1268,1659 @@ function parseRules(text) {
 function matchesKeyword(descLower, keywordLower) {
   if (!keywordLower) return false;
   const text = String(descLower || '').toLowerCase();
-  const tokens = String(keywordLower).toLowerCase().split(/\s+/).filter(Boolean);
-  if (!tokens.length) return false;
-  const delim = '[^A-Za-z0-9&._]';
-  if (tokens.length === 3) {
+  const key = String(keywordLower).toLowerCase();
+  let regexes = KEYWORD_RE_CACHE.get(key);
+  if (!regexes) {
+    // Compile once per keyword: categorise() runs every rule against every txn
+    const tokens = key.split(/\s+/).filter(Boolean);
+    const delim = '[^A-Za-z0-9&._]';
     const safe = tokens.map(tok => tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-    const re = new RegExp(`(?:^|${delim})${safe[0]}(?:${delim})+${safe[1]}(?:${delim})+${safe[2]}(?:${delim}|$)`, 'i');
-    return re.test(text);
+    if (tokens.length === 3) {
+      regexes = [new RegExp(`(?:^|${delim})${safe[0]}(?:${delim})+${safe[1]}(?:${delim})+${safe[2]}(?:${delim}|$)`, 'i')];
+    } else {
+      regexes = safe.map(tok => new RegExp(`(?:^|${delim})${tok}(?:${delim}|$)`, 'i'));
+    }
+    if (KEYWORD_RE_CACHE.size >= KEYWORD_RE_CACHE_LIMIT) KEYWORD_RE_CACHE.clear();
+    KEYWORD_RE_CACHE.set(key, regexes);
   }
-  return tokens.every(tok => {
-    const safe = tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const re = new RegExp(`(?:^|${delim})${safe}(?:${delim}|$)`, 'i');
-    return re.test(text);
-  });
+  if (!regexes.length) return false;
+  return regexes.every(re => re.test(text));
 }
 
-/** BEGINNER_INLINE_DOCS:categorise
-* Purpose: Assign categories to txns using rules
-* Flow: For each txn, scan rules; last match wins; can add special cases
-* Example special case: if PETROL <= $2 treat as COFFEE (demo of post-filters).
+/** BEGINNER_INLINE_DOCS:ruleMatches
+* Purpose: Check every part of a rule against one transaction
+* Amount conditions compare the size of the amount, so a refund matches like the purchase.
 */
-function categorise(txns, rules) {
+function ruleMatches(rule, txn) {
+  const desc = String(txn.desc || txn.description || "");
+  const descLower = desc.toLowerCase();
+  if (rule.keyword && !matchesKeyword(descLower, rule.keyword)) return false;
+  if (rule.regex && !rule.regex.test(desc)) return false;
+  for (const ex of rule.exclude || []) {
+    if (matchesKeyword(descLower, ex)) return false;
+  }
+  if (rule.amount && !inRange(Math.abs(Number(txn.amount || txn.debit || 0)), rule.amount)) return false;
+  if (rule.account && (txn.account || 'DEFAULT') !== rule.account) return false;
+  if (rule.days || rule.date) {
+    const d = parseDateSmart(txn.date);
+    if (!d || isNaN(d)) return false;
+    if (rule.days && !rule.days.has(d.getDay())) return false;
+    if (rule.date && !inRange(isoDate(d), rule.date)) return false;
+  }
+  return true;
+}
+
+/** BEGINNER_INLINE_DOCS:ruleSpecificity
+* Purpose: Score how narrow a rule is, so the most specific matching rule wins
+* Scoring: 100 per keyword word (+ up to 99 for its length as a tie-breaker),
+*          100 + pattern length for a regex, 50 per extra condition or -exclude.
+* Example: '7 ELEVEN 2132 => COFFEE' (3 words) beats '7 ELEVEN => PETROL' (2 words).
+*/
+function ruleSpecificity(rule) {
+  const words = rule.keyword ? rule.keyword.split(/\s+/).filter(Boolean) : [];
+  let score = words.length * 100 + Math.min(99, words.join('').length);
+  if (rule.regex) score += 100 + Math.min(99, rule.regex.source.length);
+  const conditions = (rule.amount ? 1 : 0) + (rule.days ? 1 : 0) + (rule.date ? 1 : 0) +
+    (rule.account ? 1 : 0) + (rule.exclude ? rule.exclude.length : 0);
+  return score + conditions * 50;
+}
+
+/** BEGINNER_INLINE_DOCS:rankRules
+* Purpose: Order rules by precedence so "first match wins" is literally true
+* Order: higher !priority -> higher specificity -> earlier line in the rules box.
+* Returns: a new array (the input order is left alone).
+*/
+function rankRules(rules) {
+  return rules
+    .map((r, i) => ({ r, i, spec: ruleSpecificity(r) }))
+    .sort((a, b) => (b.r.priority || 0) - (a.r.priority || 0) || b.spec - a.spec || a.i - b.i)
+    .map(x => x.r);
+}
+
+/** BEGINNER_INLINE_DOCS:explainCategory
+* Purpose: List every rule that matches a txn and say which one won
+* Output: { winner: rule|null, matches: [{ rule, specificity }] } in precedence order.
+* Used by the "why?" button in the transactions table.
+*/
+function explainCategory(txn, rules = CURRENT_RULES) {
+  const matches = rankRules(rules)
+    .filter(r => ruleMatches(r, txn))
+    .map(rule => ({ rule, specificity: ruleSpecificity(rule) }));
+  return { winner: matches.length ? matches[0].rule : null, matches };
+}
+
+/** BEGINNER_INLINE_DOCS:categorise
+* Purpose: Assign categories to txns using rules
+* Flow: Rank rules once (see rankRules), then the first matching rule wins per txn
+* Overrides: A manual choice (CATEGORY_OVERRIDES, keyed by txn id) always beats rules.
+* Tags: t.tags = tags from the winning rule + manual tags + events covering the date
+*       (a manual category keeps the rule's tags; see txnTags).
+* Special cases (e.g. cheap PETROL is really COFFEE) are ordinary rule lines now:
+*   'AMPOL amount<=2 => COFFEE'
+*/
+function categorise(txns, rules) {
+  const ranked = rankRules(rules);
   for (const t of txns) {
-    const descLower = String(t.desc || t.description || "").toLowerCase();
-    const amount = Math.abs(Number(t.amount || t.debit || 0));
-    let matched = null;
-    for (const r of rules) {
-      if (matchesKeyword(descLower, r.keyword)) { matched = r.category; }
+    const winner = ranked.find(r => ruleMatches(r, t));
+    t.tags = txnTags(t, winner ? winner.tags : []);
+    const manual = t.id ? CATEGORY_OVERRIDES[t.id] : undefined;
+    if (manual) {
+      t.category = manual;
+      t.overridden = true;
+      continue;
+    }
+    t.category = winner ? winner.category : "UNCATEGORISED";
+    t.overridden = false;
+  }
+}
+
+/** BEGINNER_INLINE_DOCS:migrateCheapPetrolRule
+* Purpose: One-time migration for rules saved before rule conditions existed
+* Old behaviour: categorise() silently turned PETROL at or under $2 into COFFEE.
+* New behaviour: the same thing as visible 'KEYWORD AMOUNT<=2 => COFFEE' lines.
+* Saving: The extended text is saved straight away, and RULES_V2 is only set once that
+*         save succeeded, so a failed save means the migration runs again next time.
+* Returns: the (possibly extended) rules text.
+*/
+function migrateCheapPetrolRule(text) {
+  let done = false;
+  try { done = SL_Store.getItem(LS_KEYS.RULES_V2) === 'true'; } catch {}
+  if (done) return text;
+  const lines = String(text || '').split(/\r?\n/);
+  const existing = new Set(lines.map(l => l.trim().toUpperCase()));
+  const extra = [];
+  for (const r of parseRules(text)) {
+    if (r.category !== 'PETROL' || !r.keyword || r.regex || r.amount || r.exclude.length) continue;
+    const line = `${r.keyword.toUpperCase()} AMOUNT<=2 => COFFEE`;
+    if (!existing.has(line)) { extra.push(line); existing.add(line); }
+  }
+  const markDone = () => SL_Store.setItem(LS_KEYS.RULES_V2, 'true');
+  if (!extra.length) {
+    try { markDone(); } catch {}
+    return text;
+  }
+  const migrated = lines.concat(extra).join('\n');
+  try {
+    SL_Store.setItem(LS_KEYS.RULES, migrated).then(saved => { if (saved) markDone(); });
+  } catch {}
+  return migrated;
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 8b: RULE EDITOR
+* A table view of the rules (the textarea stays as the "Raw text" view)
+* - Each rule shows how many loaded txns it matches, their total, and whether
+*   it is shadowed (it matches rows but another rule always wins them)
+* - Edits go into RULE_DRAFT first; a preview lists every txn whose category
+*   would change; "Save changes" writes the draft back into #rulesBox
+* - Typing in the raw textarea refreshes the table (when nothing is pending)
+*/
+// SECTION 8b: RULE EDITOR
+// ============================================================================
+
+const RULE_PREVIEW_LIMIT = 50;
+
+/** BEGINNER_INLINE_DOCS:ruleDraftLines
+* Purpose: The lines the editor works on (draft if editing, else the textarea)
+*/
+function ruleDraftLines() {
+  if (RULE_DRAFT) return RULE_DRAFT;
+  return String(document.getElementById('rulesBox').value || '').split(/\r?\n/);
+}
+
+/** BEGINNER_INLINE_DOCS:draftText
+* Purpose: Draft lines -> rules text (deleted lines are null and dropped)
+*/
+function draftText(lines) {
+  return lines.filter(l => l !== null).join('\n');
+}
+
+// Which rows each rule matches, for one ledger state (see rankedRuleMatches)
+let RULE_MATCH_CACHE = { ledgerKey: '', byRule: new Map() };
+// Last computeRuleStats result, so search keystrokes only filter rows
+let RULE_STATS_CACHE = { key: '', stats: null };
+
+/** BEGINNER_INLINE_DOCS:ledgerKey
+* Purpose: Short string that changes whenever rows are added, removed or set by hand.
+*/
+function ledgerKey() {
+  return CURRENT_TXNS.length + ':' + hashString(CURRENT_TXNS.map(t => (t.overridden ? '!' : '') + t.id).join(','));
+}
+
+/** BEGINNER_INLINE_DOCS:rankedRuleMatches
+* Purpose: For a rules list: ranked rules, the CURRENT_TXNS indexes each one matches,
+*          and the winning rule per txn (null = none)
+* Cache: Matches are kept per rule left side (keyword + conditions) until the ledger
+*        changes, so a draft edit or a search keystroke only tests new or edited rules.
+* Manual (overridden) rows are skipped: rules don't decide those.
+*/
+function rankedRuleMatches(rules) {
+  const key = ledgerKey();
+  if (RULE_MATCH_CACHE.ledgerKey !== key) RULE_MATCH_CACHE = { ledgerKey: key, byRule: new Map() };
+  const cache = RULE_MATCH_CACHE.byRule;
+  const ranked = rankRules(rules);
+  const matchesOf = new Map();
+  for (const r of ranked) {
+    if (!cache.has(r.source)) {
+      const hits = [];
+      CURRENT_TXNS.forEach((t, i) => { if (!t.overridden && ruleMatches(r, t)) hits.push(i); });
+      cache.set(r.source, hits);
+    }
+    matchesOf.set(r, cache.get(r.source));
+  }
+  // Forget rules that were edited away (keeps the cache about the size of the rules list)
+  if (cache.size > 2 * rules.length + 50) {
+    const live = new Set(rules.map(r => r.source));
+    for (const k of cache.keys()) if (!live.has(k)) cache.delete(k);
+  }
+  const winnerOf = new Array(CURRENT_TXNS.length).fill(null);
+  for (const r of ranked) for (const i of matchesOf.get(r)) if (!winnerOf[i]) winnerOf[i] = r;
+  return { ranked, matchesOf, winnerOf };
+}
+
+/** BEGINNER_INLINE_DOCS:computeRuleStats
+* Purpose: Per rule line: { matches, total, wins, shadowedBy } over the loaded txns
+* Cache: Reused while the rules (line + text) and the ledger are unchanged.
+*/
+function computeRuleStats(rules) {
+  const key = ledgerKey() + '\n' + rules.map(r => `${r.line}:${r.source}=>${r.category}:${r.priority}`).join('\n');
+  if (RULE_STATS_CACHE.key === key) return RULE_STATS_CACHE.stats;
+  const stats = new Map(rules.map(r => [r.line, { matches: 0, total: 0, wins: 0, shadowedBy: new Map() }]));
+  const { ranked, matchesOf, winnerOf } = rankedRuleMatches(rules);
+  for (const r of ranked) {
+    const st = stats.get(r.line);
+    for (const i of matchesOf.get(r)) {
+      st.matches++;
+      st.total += Number(CURRENT_TXNS[i].amount) || 0;
+      const winner = winnerOf[i];
+      if (winner === r) st.wins++;
+      else st.shadowedBy.set(winner.line, (st.shadowedBy.get(winner.line) || 0) + 1);
+    }
+  }
+  RULE_STATS_CACHE = { key, stats };
+  return stats;
+}
+
+/** BEGINNER_INLINE_DOCS:previewRuleChanges
+* Purpose: Txns whose category differs between the saved rules and the draft
+* Output: [{ txn, from, to }]
+*/
+function previewRuleChanges(lines) {
+  const { winnerOf } = rankedRuleMatches(parseRules(draftText(lines)));
+  const changes = [];
+  for (const [i, t] of CURRENT_TXNS.entries()) {
+    if (t.overridden) continue;
+    const winner = winnerOf[i];
+    const to = winner ? winner.category : 'UNCATEGORISED';
+    const from = String(t.category || 'UNCATEGORISED').toUpperCase();
+    if (to !== from) changes.push({ txn: t, from, to });
+  }
+  return changes;
+}
+
+/** BEGINNER_INLINE_DOCS:isRulesTableVisible
+* Purpose: Only spend time on match counts while someone can see the table.
+*/
+function isRulesTableVisible() {
+  const details = document.getElementById('rulesDetails');
+  const table = document.getElementById('rulesTableView');
+  return !!(details && details.open && table && table.style.display !== 'none');
+}
+
+/** BEGINNER_INLINE_DOCS:renderRulesTable
+* Purpose: Paint the rule table (+ the change preview when there is a draft)
+*/
+function renderRulesTable() {
+  if (!isRulesTableVisible()) return;
+  const lines = ruleDraftLines();
+  const rules = parseRules(lines.map(l => (l === null ? '' : l)).join('\n'));
+  const stats = computeRuleStats(rules);
+  const byLine = new Map(rules.map(r => [r.line, r]));
+  const q = String(document.getElementById('ruleSearch').value || '').trim().toLowerCase();
+  const shown = rules.filter(r => !q || `${r.source} => ${formatRuleTarget(r)}`.toLowerCase().includes(q));
+
+  let html = '<table class="zebra rules-table"><thead><tr><th>Keyword / conditions</th><th>Category</th>' +
+             '<th class="num">Matches</th><th class="num">Total</th><th>Status</th><th></th></tr></thead><tbody>';
+  for (const r of shown) {
+    const st = stats.get(r.line);
+    let status = '<span class="muted">—</span>';
+    if (!st.matches) status = '<span class="flag">no matches</span>';
+    else if (!st.wins) {
+      const [topLine] = [...st.shadowedBy.entries()].sort((a, b) => b[1] - a[1])[0];
+      const by = byLine.get(topLine);
+      status = `<span class="flag warn" title="line ${topLine}">shadowed by ${escapeHtml(by.source)} =&gt; ${escapeHtml(by.category)}</span>`;
+    } else if (st.wins < st.matches) status = `<span class="muted">wins ${st.wins} of ${st.matches}</span>`;
+    html += `<tr>
+      <td><input type="text" class="rule-input" data-line="${r.line - 1}" data-part="left" value="${escapeHtml(r.source)}"></td>
+      <td><input type="text" class="rule-input" data-line="${r.line - 1}" data-part="cat" list="ruleCategoryOptions" value="${escapeHtml(formatRuleTarget(r))}"></td>
+      <td class="num">${st.matches}</td>
+      <td class="num">${st.total.toFixed(2)}</td>
+      <td>${status}</td>
+      <td><button class="secondary small rule-del" data-line="${r.line - 1}" title="Delete rule">×</button></td>
+    </tr>`;
+  }
+  html += '</tbody></table>';
+  if (q && !shown.length) html += '<p class="muted">No rules match the search.</p>';
+  html += `<datalist id="ruleCategoryOptions">${knownCategories().map(c => `<option value="${escapeHtml(c)}"></option>`).join('')}</datalist>`;
+
+  const box = document.getElementById('rulesTable');
+  box.innerHTML = html;
+  document.getElementById('rulesTableCount').textContent =
+    `${rules.length} rule${rules.length === 1 ? '' : 's'}${q ? ` · ${shown.length} shown` : ''}`;
+
+  box.querySelectorAll('input.rule-input').forEach(inp => {
+    inp.addEventListener('change', () => {
+      const i = Number(inp.getAttribute('data-line'));
+      const row = inp.closest('tr');
+      const left = row.querySelector('[data-part="left"]').value.trim();
+      const target = parseRuleTarget(row.querySelector('[data-part="cat"]').value);
+      editRuleDraft(i, left && target.category ? `${left} => ${formatRuleTarget(target)}` : null);
+    });
+  });
+  box.querySelectorAll('button.rule-del').forEach(btn => {
+    btn.addEventListener('click', () => editRuleDraft(Number(btn.getAttribute('data-line')), null));
+  });
+  renderRulePreview();
+}
+
+/** BEGINNER_INLINE_DOCS:editRuleDraft
+* Purpose: Change one line of the draft (null deletes it; index -1 appends)
+*/
+function editRuleDraft(index, line) {
+  if (!RULE_DRAFT) RULE_DRAFT = ruleDraftLines().slice();
+  if (index < 0) RULE_DRAFT.push(line);
+  else RULE_DRAFT[index] = line;
+  renderRulesTable();
+}
+
+/** BEGINNER_INLINE_DOCS:renderRulePreview
+* Purpose: Show which txns the draft would move (and enable Save / Discard)
+*/
+function renderRulePreview() {
+  const el = document.getElementById('rulesPreview');
+  const pending = !!RULE_DRAFT && draftText(RULE_DRAFT) !== document.getElementById('rulesBox').value;
+  document.getElementById('saveRulesBtn').disabled = !pending;
+  document.getElementById('discardRulesBtn').disabled = !RULE_DRAFT;
+  if (!pending) { el.innerHTML = ''; return; }
+  const changes = previewRuleChanges(RULE_DRAFT);
+  if (!changes.length) {
+    el.innerHTML = '<p class="muted">Unsaved edits · no transaction would change category.</p>';
+    return;
+  }
+  let html = `<p><strong>${changes.length}</strong> transaction${changes.length === 1 ? '' : 's'} would change category:</p>`;
+  html += '<table class="zebra"><thead><tr><th>Date</th><th class="num">Amount</th><th>Description</th><th>Change</th></tr></thead><tbody>';
+  changes.slice(0, RULE_PREVIEW_LIMIT).forEach(({txn, from, to}) => {
+    html += `<tr><td>${escapeHtml(txn.date)}</td><td class="num">${(Number(txn.amount) || 0).toFixed(2)}</td>` +
+      `<td>${escapeHtml(txn.description)}</td><td>${escapeHtml(toTitleCase(from))} → <strong>${escapeHtml(toTitleCase(to))}</strong></td></tr>`;
+  });
+  html += '</tbody></table>';
+  if (changes.length > RULE_PREVIEW_LIMIT) html += `<p class="muted">…and ${changes.length - RULE_PREVIEW_LIMIT} more</p>`;
+  el.innerHTML = html;
+}
+
+/** BEGINNER_INLINE_DOCS:saveRuleDraft
+* Purpose: Write the draft into #rulesBox, tidy it and re-categorise.
+*/
+function saveRuleDraft() {
+  if (!RULE_DRAFT) return;
+  recordUndo('Save rule table edits');
+  const box = document.getElementById('rulesBox');
+  box.value = draftText(RULE_DRAFT);
+  RULE_DRAFT = null;
+  tidyRulesBox();
+  try { RULES_CHANGED = true; } catch {}
+  applyRulesAndRender({keepPage: true});
+  renderRulesTable();
+  showSaveStatus('✓ Rules saved', 'success');
+}
+
+function discardRuleDraft() {
+  RULE_DRAFT = null;
+  renderRulesTable();
+}
+
+/** BEGINNER_INLINE_DOCS:setRulesView
+* Purpose: Switch between the rule table and the raw textarea ('table' | 'raw').
+*/
+function setRulesView(view) {
+  const raw = view === 'raw';
+  if (raw && RULE_DRAFT && !confirm('Discard the unsaved rule edits?')) return;
+  if (raw) RULE_DRAFT = null;
+  document.getElementById('rulesTableView').style.display = raw ? 'none' : '';
+  document.getElementById('rulesBox').style.display = raw ? '' : 'none';
+  document.getElementById('rulesViewTableBtn').classList.toggle('secondary', raw);
+  document.getElementById('rulesViewRawBtn').classList.toggle('secondary', !raw);
+  try { SL_Store.setItem(LS_KEYS.RULES_VIEW, raw ? 'raw' : 'table'); } catch {}
+  renderRulesTable();
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 8c: RULE HEALTH
+* A lint report for the rules text, checked against the whole ledger
+* - Dead: matches no transaction at all
+* - Shadowed: matches rows, but another rule always wins them
+* - Conflicts: the same keyword (and conditions) pointing at different categories
+* - Over-broad: a very short keyword catching an unusual share of all rows
+* - Not rules: lines that don't parse (tidyRulesBox leaves them untouched)
+*/
+// SECTION 8c: RULE HEALTH
+// ============================================================================
+
+const LINT_SHORT_KEYWORD = 4;      // characters
+const LINT_BROAD_SHARE = 0.05;     // 5% of all txns
+const LINT_BROAD_MIN = 5;          // …and at least this many rows
+
+/** BEGINNER_INLINE_DOCS:ruleConflictKey
+* Purpose: A rule's left side in one canonical form, so lines that only differ in token
+*          order or !priority compare equal ('-EATS UBER !2' and 'UBER -EATS' -> 'UBER -EATS').
+* Note: Keyword words keep their order (a 3-word keyword is matched as a phrase);
+*       the other tokens (conditions, -excludes, regex) are sorted.
+*/
+function ruleConflictKey(rule) {
+  const words = rule.keyword ? rule.keyword.toUpperCase().split(' ') : [];
+  const rest = tokenizeRuleLeft(rule.source)
+    .map(tok => isRegexToken(tok) ? tok : tok.toUpperCase())
+    .filter(tok => !/^!-?\d+$/.test(tok));
+  for (const w of words) {
+    const i = rest.indexOf(w);
+    if (i !== -1) rest.splice(i, 1);
+  }
+  return [...words, ...rest.sort()].join(' ');
+}
+
+/** BEGINNER_INLINE_DOCS:lintRules
+* Purpose: Build the rule-health report for a rules text
+* Output: { dead, shadowed, conflicts, broad, unparsed } (arrays of findings)
+* Dead: Manual (overridden) rows count as matches here, so a rule isn't "dead" just
+*       because every row it catches was picked by hand.
+*/
+function lintRules(text = document.getElementById('rulesBox').value) {
+  const lines = String(text || '').split(/\r?\n/);
+  const rules = parseRules(text);
+  const stats = computeRuleStats(rules);
+  const byLine = new Map(rules.map(r => [r.line, r]));
+  const ledgerSize = CURRENT_TXNS.length;
+  const report = { dead: [], shadowed: [], conflicts: [], broad: [], unparsed: [] };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || parseRuleLine(trimmed)) return;
+    report.unparsed.push({
+      line: i + 1,
+      text: trimmed,
+      reason: trimmed.includes('=>') ? 'bad condition or regex' : 'no "=>" (ignored)'
+    });
+  });
+
+  const sameLeft = new Map();
+  for (const r of rules) {
+    const st = stats.get(r.line);
+    if (ledgerSize && !st.matches && !CURRENT_TXNS.some(t => t.overridden && ruleMatches(r, t))) report.dead.push({ rule: r });
+    else if (st.matches && !st.wins) {
+      const [topLine] = [...st.shadowedBy.entries()].sort((a, b) => b[1] - a[1])[0];
+      report.shadowed.push({ rule: r, by: byLine.get(topLine), matches: st.matches });
+    }
+    const shortest = r.keyword ? Math.min(...r.keyword.split(' ').map(w => w.length)) : Infinity;
+    if (!r.regex && r.keyword && (r.keyword.length <= LINT_SHORT_KEYWORD || shortest <= 2) &&
+        st.matches >= Math.max(LINT_BROAD_MIN, ledgerSize * LINT_BROAD_SHARE)) {
+      report.broad.push({ rule: r, matches: st.matches, share: st.matches / ledgerSize });
+    }
+    const key = ruleConflictKey(r);
+    if (!sameLeft.has(key)) sameLeft.set(key, []);
+    sameLeft.get(key).push(r);
+  }
+  for (const [key, list] of sameLeft) {
+    const cats = [...new Set(list.map(r => r.category))];
+    if (cats.length > 1) report.conflicts.push({ keyword: key, rules: list, categories: cats });
+  }
+  return report;
+}
+
+/** BEGINNER_INLINE_DOCS:renderRuleLint
+* Purpose: Paint the rule-health report; clicking a rule finds it in the rule table.
+*/
+function renderRuleLint() {
+  const el = document.getElementById('rulesLint');
+  const r = lintRules();
+  const ruleText = (rule) => `<code>${escapeHtml(rule.source)} =&gt; ${escapeHtml(rule.category)}</code>`;
+  const find = (rule) => `<a class="lint-find" data-find="${escapeHtml(rule.source)}">line ${rule.line}</a>`;
+  const section = (title, items, fmt) => items.length
+    ? `<details class="lint-group"${items.length <= 10 ? ' open' : ''}><summary><strong>${title}</strong> <span class="badge">${items.length}</span></summary><ul>` +
+      items.map(it => `<li>${fmt(it)}</li>`).join('') + '</ul></details>'
+    : '';
+  const total = r.dead.length + r.shadowed.length + r.conflicts.length + r.broad.length + r.unparsed.length;
+
+  let html = `<p>${total ? `<strong>${total}</strong> possible problem${total === 1 ? '' : 's'}` : '✓ No problems found'}` +
+             ` <span class="muted">(checked against all ${CURRENT_TXNS.length} loaded transactions)</span></p>`;
+  html += section('Not rules', r.unparsed, it => `line ${it.line}: <code>${escapeHtml(it.text)}</code> — ${escapeHtml(it.reason)}`);
+  html += section('Conflicting duplicates', r.conflicts, it =>
+    `<code>${escapeHtml(it.keyword)}</code> → ${it.categories.map(c => escapeHtml(c)).join(' / ')} (` +
+    it.rules.map(find).join(', ') + ')');
+  html += section('Always overridden', r.shadowed, it =>
+    `${ruleText(it.rule)} (${find(it.rule)}) — all ${it.matches} match(es) go to ${ruleText(it.by)}`);
+  html += section('Over-broad', r.broad, it =>
+    `${ruleText(it.rule)} (${find(it.rule)}) — matches ${it.matches} rows (${(it.share * 100).toFixed(0)}% of all)`);
+  html += section('Matches nothing', r.dead, it => `${ruleText(it.rule)} (${find(it.rule)})`);
+  el.innerHTML = html;
+
+  el.querySelectorAll('a.lint-find').forEach(a => {
+    a.addEventListener('click', () => {
+      setRulesView('table');
+      document.getElementById('ruleSearch').value = a.getAttribute('data-find');
+      renderRulesTable();
+    });
+  });
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 8d: RULE VERSIONS
+* Every rules text that gets applied is kept as a timestamped snapshot in SL_Store
+* (only when it differs from the newest one), so an older version is one click away.
+* - The diff compares rules by their left side (keyword + conditions):
+*   added, removed, recategorised (same left side, new category or #tags)
+* - "Moved" counts txns whose winning rule would change category (manual picks don't move)
+*/
+// SECTION 8d: RULE VERSIONS
+// ============================================================================
+
+const RULE_SNAPSHOT_LIMIT = 50;
+
+function readStoredRuleSnapshots() {
+  try {
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.RULE_SNAPSHOTS) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(v => v && typeof v.text === 'string' && v.at) : [];
+  } catch { return []; }
+}
+
+/** BEGINNER_INLINE_DOCS:saveRuleSnapshots
+* Reliability: When a write fails (storage full) the oldest snapshots are dropped until it fits;
+*              only a failure with a single snapshot left is reported (storage warning).
+*/
+async function saveRuleSnapshots() {
+  while (RULE_SNAPSHOTS.length) {
+    const last = RULE_SNAPSHOTS.length === 1;
+    const saved = await SL_Store.setItem(LS_KEYS.RULE_SNAPSHOTS, JSON.stringify(RULE_SNAPSHOTS), { quiet: !last });
+    if (saved || last) return;
+    RULE_SNAPSHOTS.shift();
+    renderRuleVersions();
+  }
+}
+
+/** BEGINNER_INLINE_DOCS:snapshotRules
+* Purpose: Keep this rules text as a new version unless it equals the newest one.
+*/
+function snapshotRules(text, note = '') {
+  const latest = RULE_SNAPSHOTS[RULE_SNAPSHOTS.length - 1];
+  if (latest && latest.text === text) return false;
+  if (!latest && !String(text || '').trim()) return false;
+  RULE_SNAPSHOTS.push({ at: new Date().toISOString(), text, note: note || (latest ? '' : 'First saved version') });
+  if (RULE_SNAPSHOTS.length > RULE_SNAPSHOT_LIMIT) RULE_SNAPSHOTS.splice(0, RULE_SNAPSHOTS.length - RULE_SNAPSHOT_LIMIT);
+  saveRuleSnapshots();
+  renderRuleVersions();
+  return true;
+}
+
+/** BEGINNER_INLINE_DOCS:diffRuleTexts
+* Purpose: What changed between two rules texts, and how many txns each change moves
+* Output: { added, removed, recategorised, moved }
+*   added/removed: [{ left, target, moved }]; recategorised: [{ left, from, to, moved }]
+*   moved: total txns that would change category
+*/
+function diffRuleTexts(oldText, newText) {
+  const oldRules = parseRules(oldText);
+  const newRules = parseRules(newText);
+  const byLeft = (rules) => {
+    const map = new Map();
+    for (const r of rules) if (!map.has(normaliseRuleLeft(r.source))) map.set(normaliseRuleLeft(r.source), r);
+    return map;
+  };
+  const oldMap = byLeft(oldRules);
+  const newMap = byLeft(newRules);
+  const changes = new Map();   // left -> change entry
+  for (const [left, r] of newMap) {
+    const before = oldMap.get(left);
+    if (!before) changes.set(left, { kind: 'added', left, target: formatRuleTarget(r), moved: 0 });
+    else if (formatRuleTarget(before) !== formatRuleTarget(r)) {
+      changes.set(left, { kind: 'recategorised', left, from: formatRuleTarget(before), to: formatRuleTarget(r), moved: 0 });
     }
-    if (matched && String(matched).toUpperCase() === "PETROL" && amount <= 2) matched = "COFFEE";
-    t.category = matched || "UNCATEGORISED";
   }
+  for (const [left, r] of oldMap) {
+    if (!newMap.has(left)) changes.set(left, { kind: 'removed', left, target: formatRuleTarget(r), moved: 0 });
+  }
+
+  // Re-run both rule sets; credit each moved txn to the change behind its new (or old) winner
+  const oldRanked = rankRules(oldRules);
+  const newRanked = rankRules(newRules);
+  let moved = 0;
+  for (const t of CURRENT_TXNS) {
+    if (t.id && CATEGORY_OVERRIDES[t.id]) continue;
+    const was = oldRanked.find(r => ruleMatches(r, t));
+    const now = newRanked.find(r => ruleMatches(r, t));
+    const wasCat = was ? was.category : 'UNCATEGORISED';
+    const nowCat = now ? now.category : 'UNCATEGORISED';
+    if (wasCat === nowCat) continue;
+    moved++;
+    const change = (now && changes.get(normaliseRuleLeft(now.source))) || (was && changes.get(normaliseRuleLeft(was.source)));
+    if (change) change.moved++;
+  }
+  const list = [...changes.values()].sort((a, b) => b.moved - a.moved || a.left.localeCompare(b.left));
+  return {
+    added: list.filter(c => c.kind === 'added'),
+    removed: list.filter(c => c.kind === 'removed'),
+    recategorised: list.filter(c => c.kind === 'recategorised'),
+    moved
+  };
+}
+
+/** BEGINNER_INLINE_DOCS:snapshotLabel
+* Purpose: '#3 · 19 Oct 2026, 14:05 · 42 rules' for lists and selects.
+*/
+function snapshotLabel(snap, index) {
+  const when = new Date(snap.at).toLocaleString([], { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+  return `#${index + 1} · ${when} · ${parseRules(snap.text).length} rules${snap.note ? ' · ' + snap.note : ''}`;
+}
+
+/** BEGINNER_INLINE_DOCS:renderRuleVersions
+* Purpose: Fill the version list + the two compare selects (only while the panel is open).
+*/
+function renderRuleVersions() {
+  const details = document.getElementById('ruleVersionsDetails');
+  if (!details || !details.open) return;
+  const list = document.getElementById('ruleVersionsList');
+  const fromSel = document.getElementById('snapFrom');
+  const toSel = document.getElementById('snapTo');
+  if (!RULE_SNAPSHOTS.length) {
+    list.innerHTML = '<p class="muted">No saved versions yet.</p>';
+    fromSel.innerHTML = toSel.innerHTML = '';
+    return;
+  }
+  const current = document.getElementById('rulesBox').value;
+  const options = RULE_SNAPSHOTS.map((snap, i) => `<option value="${i}">${escapeHtml(snapshotLabel(snap, i))}</option>`).reverse().join('');
+  const keepFrom = fromSel.value, keepTo = toSel.value;
+  fromSel.innerHTML = options;
+  toSel.innerHTML = options;
+  const last = RULE_SNAPSHOTS.length - 1;
+  fromSel.value = keepFrom !== '' && RULE_SNAPSHOTS[keepFrom] ? keepFrom : String(Math.max(0, last - 1));
+  toSel.value = keepTo !== '' && RULE_SNAPSHOTS[keepTo] ? keepTo : String(last);
+
+  let html = '<ol class="history-list" reversed>';
+  for (let i = last; i >= 0; i--) {
+    const snap = RULE_SNAPSHOTS[i];
+    const isCurrent = snap.text === current;
+    html += `<li>${escapeHtml(snapshotLabel(snap, i))} ` +
+      (isCurrent ? '<span class="badge">current</span>' : `<button class="secondary small snap-restore" data-i="${i}">Restore</button>`) + '</li>';
+  }
+  html += '</ol>';
+  list.innerHTML = html;
+  list.querySelectorAll('button.snap-restore').forEach(btn => {
+    btn.addEventListener('click', () => restoreRuleSnapshot(Number(btn.getAttribute('data-i'))));
+  });
+}
+
+/** BEGINNER_INLINE_DOCS:renderRuleSnapshotDiff
+* Purpose: Show diffRuleTexts for the two chosen versions.
+*/
+function renderRuleSnapshotDiff() {
+  const from = RULE_SNAPSHOTS[document.getElementById('snapFrom').value];
+  const to = RULE_SNAPSHOTS[document.getElementById('snapTo').value];
+  const box = document.getElementById('snapDiff');
+  if (!from || !to) { box.innerHTML = ''; return; }
+  const diff = diffRuleTexts(from.text, to.text);
+  const movedNote = (c) => c.moved ? ` <span class="muted">(${c.moved} txn${c.moved === 1 ? '' : 's'} moved)</span>` : '';
+  const group = (title, items, line) => items.length
+    ? `<div class="lint-group"><strong>${title}</strong> <span class="badge">${items.length}</span><ul>${items.map(c => `<li>${line(c)}${movedNote(c)}</li>`).join('')}</ul></div>`
+    : '';
+  let html = `<p>${diff.added.length + diff.removed.length + diff.recategorised.length} change(s) · ` +
+    `<strong>${diff.moved}</strong> transaction(s) would change category</p>`;
+  html += group('Added', diff.added, c => `<code>${escapeHtml(c.left)} =&gt; ${escapeHtml(c.target)}</code>`);
+  html += group('Removed', diff.removed, c => `<code>${escapeHtml(c.left)} =&gt; ${escapeHtml(c.target)}</code>`);
+  html += group('Recategorised', diff.recategorised,
+    c => `<code>${escapeHtml(c.left)}</code>: ${escapeHtml(c.from)} → <strong>${escapeHtml(c.to)}</strong>`);
+  if (from.text === to.text) html = '<p class="muted">The two versions are identical.</p>';
+  box.innerHTML = html;
+}
+
+/** BEGINNER_INLINE_DOCS:restoreRuleSnapshot
+* Purpose: Put an older version back into #rulesBox (one undo step; becomes the newest version).
+*/
+function restoreRuleSnapshot(index) {
+  const snap = RULE_SNAPSHOTS[index];
+  if (!snap) return;
+  const box = document.getElementById('rulesBox');
+  if (snap.text === box.value) return;
+  const diff = diffRuleTexts(box.value, snap.text);
+  if (!confirm(`Restore version #${index + 1}? ${diff.moved} transaction(s) would change category.`)) return;
+  recordUndo(`Restore rules version #${index + 1}`);
+  RULE_DRAFT = null;
+  box.value = snap.text;
+  try { RULES_CHANGED = box.value !== INITIAL_RULES; } catch {}
+  snapshotRules(snap.text, `Restored from #${index + 1}`);
+  applyRulesAndRender({keepPage: true});
+  showSaveStatus(`✓ Restored rules version #${index + 1}`, 'success');
 }
 
 // ============================================================================
 // SECTION 9: CATEGORY TOTALS
 // ============================================================================
 
+/** BEGINNER_INLINE_DOCS:expandSplits
+* Purpose: Replace each split txn by its parts so totals count the parts, not the parent
+* Parts: { ...parent, id: 'parentId#n', splitOf: parentId, amount, category }
+* Note: Unsplit txns pass through untouched (same objects).
+*/
+function expandSplits(txns) {
+  const out = [];
+  for (const t of txns) {
+    const parts = t.id ? TXN_SPLITS[t.id] : null;
+    if (!parts || !parts.length) { out.push(t); continue; }
+    parts.forEach((p, i) => {
+      out.push({ ...t, id: `${t.id}#${i + 1}`, splitOf: t.id, amount: Number(p.amount) || 0, category: p.category });
+    });
+  }
+  return out;
+}
+
+/** BEGINNER_INLINE_DOCS:normaliseCategoryPath
+* Purpose: Tidy a category that may be a path: ' travel>usa trip > food ' -> 'TRAVEL > USA TRIP > FOOD'
+*/
+function normaliseCategoryPath(cat) {
+  return String(cat || '').split('>').map(part => part.trim().toUpperCase()).filter(Boolean).join(' > ');
+}
+
+/** BEGINNER_INLINE_DOCS:categoryAncestors
+* Purpose: 'A > B > C' -> ['A', 'A > B', 'A > B > C'] (the path itself included)
+*/
+function categoryAncestors(path) {
+  const parts = String(path || '').split(' > ');
+  return parts.map((_, i) => parts.slice(0, i + 1).join(' > '));
+}
+
+/** BEGINNER_INLINE_DOCS:categoryInFilter
+* Purpose: Does a category sit in the filtered category or under it?
+*/
+function categoryInFilter(cat, filter) {
+  return cat === filter || String(cat).startsWith(filter + ' > ');
+}
+
+/** BEGINNER_INLINE_DOCS:rollupTotals
+* Purpose: [[path, total]...] -> Map(path -> total including every child path)
+*/
+function rollupTotals(rows) {
+  const out = new Map();
+  for (const [cat, total] of rows) {
+    for (const p of categoryAncestors(cat)) out.set(p, (out.get(p) || 0) + total);
+  }
+  return out;
+}
+
+/** BEGINNER_INLINE_DOCS:buildCategoryTree
+* Purpose: Leaf rows -> tree of { path, name, depth, total, own, children } (biggest first)
+* own: spending booked directly on this path (not on a child).
+*/
+function buildCategoryTree(rows) {
+  const nodes = new Map();
+  const roots = [];
+  const node = (path) => {
+    if (nodes.has(path)) return nodes.get(path);
+    const parts = path.split(' > ');
+    const n = { path, name: parts[parts.length - 1], depth: parts.length - 1, total: 0, own: 0, children: [] };
+    nodes.set(path, n);
+    if (parts.length > 1) node(parts.slice(0, -1).join(' > ')).children.push(n);
+    else roots.push(n);
+    return n;
+  };
+  for (const [cat, total] of rows) {
+    node(cat).own += total;
+    for (const p of categoryAncestors(cat)) node(p).total += total;
+  }
+  const sort = (list) => { list.sort((a, b) => b.total - a.total); list.forEach(n => sort(n.children)); };
+  sort(roots);
+  return roots;
+}
+
 /** BEGINNER_INLINE_DOCS:computeCategoryTotals
-* Purpose: Sum amounts by category and return sorted rows
-* Output: { rows: [[category, total]...], grand: sum }
+* Purpose: Sum signed amounts by category and return sorted rows
+* Output: { rows: [[category, total]...], grand: sum, refunds: Map(category -> credits), tree }
 * Use: The rows feed the Category Totals table; grand computes percentages.
+* Hierarchy: 'TRAVEL > USA TRIP > FOOD' stays one row; tree (buildCategoryTree) adds subtotals.
+* Note: Refunds (negative amounts) are netted into their category's total;
+*       split txns count once per part (see expandSplits);
+*       rows marked as transfer/excluded are left out (see isTxnCounted).
 */
 function computeCategoryTotals(txns) {
   const byCat = new Map();
-  for (const t of txns) {
+  const refunds = new Map();
+  for (const t of expandSplits(txns.filter(isTxnCounted))) {
     const cat = (t.category || 'UNCATEGORISED').toUpperCase();
-    byCat.set(cat, (byCat.get(cat) || 0) + t.amount);
+    const amt = Number(t.amount) || 0;
+    byCat.set(cat, (byCat.get(cat) || 0) + amt);
+    if (amt < 0) refunds.set(cat, (refunds.get(cat) || 0) + Math.abs(amt));
   }
   const rows = [...byCat.entries()].sort((a, b) => b[1] - a[1]);
   const grand = rows.reduce((acc, [, v]) => acc + v, 0);
-  return { rows, grand };
+  return { rows, grand, refunds, tree: buildCategoryTree(rows) };
 }
 
 /** BEGINNER_INLINE_DOCS:renderCategoryTotals
-* Purpose: Paint the Category Totals table
+* Purpose: Paint the Category Totals table (plus budget columns when budgets exist)
 * Tips: Keep string building local; use toTitleCase for display
 * Interactivity: Each category name is a link that sets CURRENT_FILTER.
+* Hierarchy: 'A > B' categories show as collapsible groups with subtotals.
+* Budgets: Over-budget rows get the .over-budget highlight; edit mode shows inputs.
+* Compare: When COMPARE_MODE is set the comparison table is drawn instead.
 */
 function renderCategoryTotals(txns) {
-  const { rows, grand } = computeCategoryTotals(txns);
+  if (COMPARE_MODE) return renderComparisonTable(txns);
+  const { rows, grand, refunds } = computeCategoryTotals(txns);
+  const budgets = computeBudgetStatus(accountFilteredTxns(), MONTH_FILTER);
+  const showBudgets = budgets.size > 0 || BUDGET_EDIT;
+  // Budgeted categories with no spending yet still get a row
+  const rolled = rollupTotals(rows);
+  for (const cat of budgets.keys()) if (!rolled.has(cat)) rows.push([cat, 0]);
+  const entries = categoryTableEntries(rows);
   const totalsDiv = document.getElementById('categoryTotals');
   let html = '<table class="cats">';
   html += '<colgroup><col class="col-cat"><col class="col-total"><col class="col-pct"></colgroup>';
-  html += '<thead><tr><th>Category</th><th class="num">Total</th><th class="num">%</th></tr></thead>';
+  html += '<thead><tr><th>Category</th><th class="num">Total</th><th class="num">%</th>';
+  if (showBudgets) html += '<th class="num">Budget</th><th class="num">Remaining</th><th class="num">Used</th>';
+  html += '</tr></thead>';
   html += '<tbody>';
-  for (const [cat, total] of rows) {
+  for (const { path: cat, name, depth, total, parent, own } of entries) {
     const pct = grand ? (total / grand * 100) : 0;
-    html += `<tr>
-      <td><a class="catlink" data-cat="${escapeHtml(cat)}"><span class="category-name">${escapeHtml(toTitleCase(cat))}</span></a></td>
-      <td class="num">${total.toFixed(2)}</td>
-      <td class="num">${pct.toFixed(1)}%</td>
-    </tr>`;
+    const refund = parent ? 0 : refunds.get(cat);
+    const refundNote = refund ? `<br><small class="refund-note">incl. ${refund.toFixed(2)} refunded</small>` : '';
+    const b = own ? null : budgets.get(cat);
+    const toggle = parent
+      ? `<button class="cat-toggle" data-toggle-cat="${escapeHtml(cat)}" aria-expanded="${!COLLAPSED_CATS.has(cat)}">${COLLAPSED_CATS.has(cat) ? '▸' : '▾'}</button>`
+      : '';
+    html += `<tr class="${b && b.over ? 'over-budget' : ''}${parent ? ' cat-parent' : ''}" style="--depth:${depth}">
+      <td class="cat-cell">${toggle}<a class="catlink" data-cat="${escapeHtml(cat)}"><span class="category-name">${escapeHtml(toTitleCase(name))}</span></a></td>
+      <td class="num${total < 0 ? ' credit' : ''}">${total.toFixed(2)}${refundNote}</td>
+      <td class="num">${pct.toFixed(1)}%</td>`;
+    if (showBudgets) html += renderBudgetCells(cat, b);
+    html += `</tr>`;
   }
   html += `</tbody>`;
-  html += `<tfoot><tr><td>Total</td><td class="num">${grand.toFixed(2)}</td><td class="num">100%</td></tr></tfoot>`;
+  html += `<tfoot><tr><td>Total</td><td class="num">${grand.toFixed(2)}</td><td class="num">100%</td>`;
+  if (showBudgets) {
+    let budgetSum = 0, spentSum = 0;
+    for (const b of budgets.values()) { budgetSum += b.budget; spentSum += b.spent; }
+    const used = budgetSum ? (spentSum / budgetSum * 100) : 0;
+    html += `<td class="num">${budgetSum.toFixed(2)}</td><td class="num">${(budgetSum - spentSum).toFixed(2)}</td><td class="num">${used.toFixed(0)}%</td>`;
+  }
+  html += `</tr></tfoot>`;
   html += '</table>';
+  if (BUDGET_EDIT) {
+    html += `<div class="budget-add filters">
+      <input type="text" id="budgetNewCat" list="budgetCatOptions" placeholder="Category">
+      <datalist id="budgetCatOptions">${knownCategories().map(c => `<option value="${escapeHtml(c)}"></option>`).join('')}</datalist>
+      <input type="text" id="budgetNewAmt" inputmode="decimal" placeholder="Monthly budget">
+      <label><input type="checkbox" id="budgetNewRoll"> Rollover</label>
+    </div>`;
+  }
   totalsDiv.innerHTML = html;
 
   totalsDiv.querySelectorAll('a.catlink').forEach(a => {
-    a.addEventListener('click', () => {
-      CURRENT_FILTER = a.getAttribute('data-cat');
-      try { localStorage.setItem(LS_KEYS.FILTER, CURRENT_FILTER || ''); } catch {}
-      updateFilterUI();
-      CURRENT_PAGE = 1;
-      renderTransactionsTable();
-    });
+    a.addEventListener('click', () => setCategoryFilter(a.getAttribute('data-cat')));
+  });
+  totalsDiv.querySelectorAll('button.cat-toggle').forEach(btn => {
+    btn.addEventListener('click', () => toggleCategoryGroup(btn.getAttribute('data-toggle-cat')));
   });
 }
 
+/** BEGINNER_INLINE_DOCS:categoryTableEntries
+* Purpose: Rows for the totals table: flat when there are no paths,
+*          otherwise the tree in display order (children of folded parents skipped)
+* Output: [{ path, name, depth, total, parent, own }]
+*/
+function categoryTableEntries(rows) {
+  if (!rows.some(([cat]) => cat.includes(' > '))) {
+    return rows.map(([cat, total]) => ({ path: cat, name: cat, depth: 0, total, parent: false }));
+  }
+  const out = [];
+  const walk = (nodes) => nodes.forEach(n => {
+    const parent = n.children.length > 0;
+    out.push({ path: n.path, name: n.depth ? n.name : n.path, depth: n.depth, total: n.total, parent });
+    if (parent && !COLLAPSED_CATS.has(n.path)) {
+      // Money booked on the parent itself shows as its own child row
+      if (Math.abs(n.own) > 0.005) out.push({ path: n.path, name: `${n.name} (other)`, depth: n.depth + 1, total: n.own, parent: false, own: true });
+      walk(n.children);
+    }
+  });
+  walk(buildCategoryTree(rows));
+  return out;
+}
+
+/** BEGINNER_INLINE_DOCS:toggleCategoryGroup
+* Purpose: Fold/unfold a parent category in the totals table (remembered in SL_Store).
+*/
+function toggleCategoryGroup(path) {
+  if (COLLAPSED_CATS.has(path)) COLLAPSED_CATS.delete(path);
+  else COLLAPSED_CATS.add(path);
+  try { SL_Store.setItem(LS_KEYS.COLLAPSED_CATS, JSON.stringify([...COLLAPSED_CATS])); } catch {}
+  renderCategoryTotals(monthFilteredTxns());
+}
+
+/** BEGINNER_INLINE_DOCS:setCategoryFilter
+* Purpose: Filter the transactions table to one category (or null for all)
+* Used by: category links in the totals table and chart segments.
+*/
+function setCategoryFilter(cat) {
+  CURRENT_FILTER = cat ? String(cat).toUpperCase() : null;
+  try { SL_Store.setItem(LS_KEYS.FILTER, CURRENT_FILTER || ''); } catch {}
+  updateFilterUI();
+  CURRENT_PAGE = 1;
+  renderTransactionsTable();
+  renderMonthTotals();
+  renderCharts();
+}
+
 /** BEGINNER_INLINE_DOCS:renderMonthTotals
 * Purpose: Show month summary (count, debit, credit, net)
-* Dependency: getFilteredTxns(monthFilteredTxns())
+* Dependency: getFilteredTxns(expandSplits(monthFilteredTxns())) — amounts are summed per split
+*             part (so a category filter sees only its parts); the count is per transaction
 * UX: Adds a friendly label and highlights current filter.
+* Marks: Rows marked as transfer/excluded are left out and mentioned separately.
 */
 function renderMonthTotals() {
-  const txns = getFilteredTxns(monthFilteredTxns());
-  let debit = 0, credit = 0, count = 0;
+  const all = getFilteredTxns(expandSplits(monthFilteredTxns()));
+  const txns = all.filter(isTxnCounted);
+  const marked = new Set(all.filter(t => !isTxnCounted(t)).map(t => t.splitOf || t.id)).size;
+  // Amounts add up per part; the count is per transaction (a 3-way split is still one)
+  const count = new Set(txns.map(t => t.splitOf || t.id)).size;
+  let debit = 0, credit = 0;
   for (const t of txns) {
     const amt = Number(t.amount) || 0;
     if (amt > 0) debit += amt; else credit += Math.abs(amt);
-    count++;
   }
   const net = debit - credit;
   const el = document.getElementById('monthTotals');
   if (el) {
     const label = friendlyMonthOrAll(MONTH_FILTER);
-    const cat = CURRENT_FILTER ? ` + category "${CURRENT_FILTER}"` : "";
-    el.innerHTML = `Showing <span class="badge">${count}</span> transactions for <strong>${label}${cat}</strong> · ` +
+    const cat = CURRENT_FILTER ? ` + category "${escapeHtml(CURRENT_FILTER)}"` : "";
+    const search = TXN_SEARCH.trim() ? ` + search "${escapeHtml(TXN_SEARCH.trim())}"` : "";
+    const acct = ACCOUNT_FILTER ? ` (${escapeHtml(toTitleCase(ACCOUNT_FILTER))})` : " (all accounts)";
+    el.innerHTML = `Showing <span class="badge">${count}</span> transactions for <strong>${label}${acct}${cat}${search}</strong> · ` +
                    `Debit: <strong>$${debit.toFixed(2)}</strong> · ` +
                    `Credit: <strong>$${credit.toFixed(2)}</strong> · ` +
-                   `Net: <strong>$${net.toFixed(2)}</strong>`;
+                   `Net: <strong>$${net.toFixed(2)}</strong>` +
+                   (marked ? ` · <span class="muted">${marked} transfer/excluded not counted</span>` : '');
   }
 }
 
 // ============================================================================
-/** BEGINNER_INLINE_DOCS:SECTION 10: MAIN RENDER
-* Render pipeline overview
-* - Load txns -> parse rules -> categorise -> render totals/table
-* - State lives in CURRENT_* variables; UI derives from state
-* - Minimise direct DOM mutations; batch via string building
+/** BEGINNER_INLINE_DOCS:SECTION 9b: BUDGETS
+* Monthly budget per category, saved inside the rules text
+* - Directive lines look like comments, so older versions simply ignore them:
+*     # BUDGET: GROCERIES = 600
+*     # BUDGET: TAKEAWAY = 200 ROLLOVER
+* - ROLLOVER carries unspent money forward month by month (overspending isn't carried)
+* - Longer periods ('All months', quarters, years…) compare with budget × months covered
 */
-// SECTION 10: MAIN RENDER
+// SECTION 9b: BUDGETS
 // ============================================================================
 
-/** BEGINNER_INLINE_DOCS:applyRulesAndRender
-* Purpose: Central orchestrator for re-render
-* Steps: Parse rules -> categorise -> render totals -> render table -> persist
-* Option: keepPage=true to avoid jumping back to page 1 after edits.
+const BUDGET_LINE_RE = /^#\s*BUDGET:\s*(.+?)\s*=\s*\$?([\d,]+(?:\.\d+)?)\s*(ROLLOVER)?\s*$/i;
+
+/** BEGINNER_INLINE_DOCS:parseBudgets
+* Purpose: Read '# BUDGET: CATEGORY = AMOUNT [ROLLOVER]' lines from the rules text
+* Output: Map(CATEGORY -> { amount, rollover })
 */
-function applyRulesAndRender({keepPage = false} = {}) { 
-  if (!keepPage) CURRENT_PAGE = 1;
-  CURRENT_RULES = parseRules(document.getElementById('rulesBox').value);
-  try { localStorage.setItem(LS_KEYS.RULES, document.getElementById('rulesBox').value); } catch {}
-  const txns = monthFilteredTxns();
-  categorise(txns, CURRENT_RULES);
-  renderMonthTotals();
-  renderCategoryTotals(txns);
-  renderTransactionsTable(txns);
-  saveTxnsToLocalStorage();
-  try { updateMonthBanner(); } catch {}
+function parseBudgets(text) {
+  const budgets = new Map();
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const m = line.trim().match(BUDGET_LINE_RE);
+    if (!m) continue;
+    const amount = parseAmount(m[2]);
+    if (amount > 0) budgets.set(normaliseCategoryPath(m[1]), { amount, rollover: !!m[3] });
+  }
+  return budgets;
 }
 
-// ============================================================================
-// SECTION 11: TXN TABLE & PAGER
-// ============================================================================
+/** BEGINNER_INLINE_DOCS:setBudgetLine
+* Purpose: Add, change or (amount 0/blank) remove a budget directive in #rulesBox.
+*/
+function setBudgetLine(category, amount, rollover) {
+  const box = document.getElementById('rulesBox');
+  const cat = normaliseCategoryPath(category);
+  if (!box || !cat) return false;
+  const value = parseAmount(amount);
+  const lines = String(box.value || '').split(/\r?\n/).filter(line => {
+    const m = line.trim().match(BUDGET_LINE_RE);
+    return !(m && normaliseCategoryPath(m[1]) === cat);
+  });
+  if (value > 0) lines.unshift(`# BUDGET: ${cat} = ${value.toFixed(2)}${rollover ? ' ROLLOVER' : ''}`);
+  box.value = lines.join('\n');
+  tidyRulesBox();
+  try { RULES_CHANGED = true; } catch {}
+  try { SL_Store.setItem(LS_KEYS.RULES, box.value); } catch {}
+  return true;
+}
 
-/** BEGINNER_INLINE_DOCS:getFilteredTxns
-* Purpose: Apply the category filter (CURRENT_FILTER) on top of month filtering
-* Returns: A narrowed array for rendering and summaries.
+/** BEGINNER_INLINE_DOCS:monthRange
+* Purpose: Every 'YYYY-MM' from first to last inclusive (fills gaps with no txns).
 */
-function getFilteredTxns(txns) {
-  if (!CURRENT_FILTER) return txns;
-  return txns.filter(t => (t.category || 'UNCATEGORISED').toUpperCase() === CURRENT_FILTER);
+function monthRange(first, last) {
+  const out = [];
+  if (!first || !last) return out;
+  let [y, m] = first.split('-').map(Number);
+  const [ly, lm] = last.split('-').map(Number);
+  while (y < ly || (y === ly && m <= lm)) {
+    out.push(`${y}-${String(m).padStart(2, '0')}`);
+    if (++m > 12) { m = 1; y++; }
+  }
+  return out;
 }
 
-/** BEGINNER_INLINE_DOCS:updateFilterUI
-* Purpose: Show/hide the 'Show all' button and the current filter label.
+/** BEGINNER_INLINE_DOCS:spendByMonth
+* Purpose: Map('YYYY-MM' -> Map(CATEGORY -> total)) using split-aware totals
+* Parents include their children, so a budget on 'TRAVEL' covers 'TRAVEL > USA TRIP'.
 */
-function updateFilterUI() {
-  const label = document.getElementById('activeFilter');
-  const btn = document.getElementById('clearFilterBtn');
-  if (CURRENT_FILTER) {
-    label.textContent = `— filtered by "${CURRENT_FILTER}"`;
-    btn.style.display = '';
-  } else {
-    label.textContent = '';
-    btn.style.display = 'none';
+function spendByMonth(txns) {
+  const groups = new Map();
+  for (const t of txns) {
+    const d = parseDateSmart(t.date);
+    if (!d || isNaN(d)) continue;
+    const ym = yyyymm(d);
+    if (!groups.has(ym)) groups.set(ym, []);
+    groups.get(ym).push(t);
   }
+  const out = new Map();
+  for (const [ym, list] of groups) out.set(ym, rollupTotals(computeCategoryTotals(list).rows));
+  return out;
 }
 
-/** BEGINNER_INLINE_DOCS:updateMonthBanner
-* Purpose: Update the label near Section 2 heading with the active month.
+/** BEGINNER_INLINE_DOCS:computeBudgetStatus
+* Purpose: Budget vs spending per budgeted category for a period spec ('' = all months)
+* Output: Map(CATEGORY -> { budget, spent, remaining, pct, carried, over })
+* Single month: rollover walks every month from the first txn up to the selected one.
+* Longer periods: budget = monthly amount × months covered (see periodMonthList).
+*/
+function computeBudgetStatus(txns, periodSpec) {
+  const out = new Map();
+  if (!CURRENT_BUDGETS.size) return out;
+  const byMonth = spendByMonth(txns);
+  const months = [...byMonth.keys()].sort();
+  const spentIn = (ym, cat) => (byMonth.get(ym) && byMonth.get(ym).get(cat)) || 0;
+  const status = (budget, spent, carried) => ({
+    budget, spent, carried,
+    remaining: budget - spent,
+    pct: budget ? spent / budget * 100 : 0,
+    over: spent > budget + 0.005
+  });
+
+  if (!/^\d{4}-\d{2}$/.test(periodSpec || '')) {
+    const period = parsePeriod(periodSpec);
+    const span = periodMonthList(periodSpec, months);
+    const inPeriod = rollupTotals(computeCategoryTotals(
+      txns.filter(t => periodContains(period, parseDateSmart(t.date)))).rows);
+    for (const [cat, b] of CURRENT_BUDGETS) {
+      out.set(cat, status(b.amount * Math.max(1, span.length), inPeriod.get(cat) || 0, 0));
+    }
+    return out;
+  }
+
+  const monthYm = periodSpec;
+  for (const [cat, b] of CURRENT_BUDGETS) {
+    let carry = 0;
+    if (b.rollover && months.length && months[0] < monthYm) {
+      for (const ym of monthRange(months[0], monthYm)) {
+        if (ym === monthYm) break;
+        carry = Math.max(0, b.amount + carry - spentIn(ym, cat));
+      }
+    }
+    out.set(cat, status(b.amount + carry, spentIn(monthYm, cat), carry));
+  }
+  return out;
+}
+
+/** BEGINNER_INLINE_DOCS:renderBudgetCells
+* Purpose: Budget / Remaining / Used cells for one Category Totals row
+* Edit mode: the Budget cell becomes an amount input plus a rollover checkbox.
+*/
+function renderBudgetCells(cat, b) {
+  if (BUDGET_EDIT) {
+    const base = CURRENT_BUDGETS.get(cat);
+    return `<td class="num" colspan="3"><input type="text" inputmode="decimal" class="budget-input" data-budget-cat="${escapeHtml(cat)}" value="${base ? base.amount.toFixed(2) : ''}" placeholder="—">
+      <label class="budget-roll"><input type="checkbox" data-roll-cat="${escapeHtml(cat)}"${base && base.rollover ? ' checked' : ''}> rollover</label></td>`;
+  }
+  if (!b) return '<td class="num muted-cell">—</td><td class="num muted-cell">—</td><td class="num muted-cell">—</td>';
+  const carried = b.carried ? `<br><small class="refund-note">incl. ${b.carried.toFixed(2)} rolled over</small>` : '';
+  return `<td class="num">${b.budget.toFixed(2)}${carried}</td>
+    <td class="num${b.remaining < 0 ? ' over' : ''}">${b.remaining.toFixed(2)}</td>
+    <td class="num"><span class="budget-bar"><span style="width:${Math.min(100, Math.max(0, b.pct)).toFixed(0)}%"></span></span> ${b.pct.toFixed(0)}%</td>`;
+}
+
+/** BEGINNER_INLINE_DOCS:toggleBudgetEdit
+* Purpose: Enter edit mode, or save every budget input and leave edit mode.
+*/
+function toggleBudgetEdit() {
+  const btn = document.getElementById('editBudgetsBtn');
+  if (BUDGET_EDIT) {
+    const before = captureState();
+    document.querySelectorAll('#categoryTotals input[data-budget-cat]').forEach(inp => {
+      const cat = inp.getAttribute('data-budget-cat');
+      const roll = Array.from(document.querySelectorAll('#categoryTotals input[data-roll-cat]'))
+        .find(el => el.getAttribute('data-roll-cat') === cat);
+      const before = CURRENT_BUDGETS.get(cat);
+      const amount = parseAmount(inp.value);
+      const rollover = !!(roll && roll.checked);
+      if (!before && !amount) return;
+      if (before && before.amount === amount && before.rollover === rollover) return;
+      setBudgetLine(cat, amount, rollover);
+    });
+    const newCat = document.getElementById('budgetNewCat');
+    const newAmt = document.getElementById('budgetNewAmt');
+    if (newCat && newCat.value.trim() && parseAmount(newAmt && newAmt.value) > 0) {
+      setBudgetLine(newCat.value, newAmt.value, document.getElementById('budgetNewRoll').checked);
+    }
+    if (document.getElementById('rulesBox').value !== before.rules) recordUndo('Edit budgets', before);
+  }
+  BUDGET_EDIT = !BUDGET_EDIT;
+  if (btn) btn.textContent = BUDGET_EDIT ? 'Save budgets' : 'Edit budgets';
+  applyRulesAndRender({keepPage: true});
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 9c: CHARTS
+* Charts panel under the Category Totals table (drawn by charts.js)
+* - Breakdown: donut or bar of computeCategoryTotals for the selected month
+* - Trend: stacked spend per category for every month in the month dropdown
+* - Clicking a segment works like clicking a category link
+*/
+// SECTION 9c: CHARTS
+// ============================================================================
+
+/** BEGINNER_INLINE_DOCS:monthlyCategoryRows
+* Purpose: [{ ym, label, short, rows }] for every month of the selected account(s)
+*/
+function monthlyCategoryRows() {
+  const byMonth = new Map();
+  for (const t of accountFilteredTxns()) {
+    const d = parseDateSmart(t.date);
+    if (!d || isNaN(d)) continue;
+    const ym = yyyymm(d);
+    if (!byMonth.has(ym)) byMonth.set(ym, []);
+    byMonth.get(ym).push(t);
+  }
+  return [...byMonth.keys()].sort().map(ym => {
+    const [y, m] = ym.split('-').map(Number);
+    const short = new Date(y, m - 1, 1).toLocaleString(undefined, { month: 'short' }) + ' ' + String(y).slice(2);
+    return { ym, label: formatMonthLabel(ym), short, rows: computeCategoryTotals(byMonth.get(ym)).rows };
+  });
+}
+
+/** BEGINNER_INLINE_DOCS:renderCharts
+* Purpose: Redraw both charts from current state (cheap enough to call after any change)
+* Input: txns for the breakdown; defaults to monthFilteredTxns()
+*/
+function renderCharts(txns) {
+  if (!window.SL_Charts) return;
+  const panel = document.getElementById('chartsPanel');
+  if (!panel) return;
+  const typeSel = document.getElementById('chartType');
+  const type = typeSel ? typeSel.value : 'donut';
+  SL_Charts.renderBreakdown(document.getElementById('breakdownChart'), {
+    rows: computeCategoryTotals(txns || monthFilteredTxns()).rows,
+    type,
+    selected: CURRENT_FILTER || '',
+    onSelect: setCategoryFilter
+  });
+  SL_Charts.renderTrend(document.getElementById('trendChart'), {
+    months: monthlyCategoryRows(),
+    selected: CURRENT_FILTER || '',
+    onSelect: setCategoryFilter
+  });
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 9d: PERIOD COMPARISON
+* Category totals for the selected period next to a baseline period
+* - 'prev'  : the period just before (previous month, quarter, FY…)
+* - 'year'  : the same period one year earlier
+* - 'avg6'  : average month of the 6 months before, × months in the period
+* Rows show both totals, the change in $ and %, and new / gone categories.
+*/
+// SECTION 9d: PERIOD COMPARISON
+// ============================================================================
+
+const COMPARE_MODES = {
+  prev: 'previous period',
+  year: 'same period last year',
+  avg6: '6-month average'
+};
+
+/** BEGINNER_INLINE_DOCS:shiftIsoDate
+* Purpose: Move 'YYYY-MM-DD' by n months, clamping the day (31 Mar - 1 month = 28/29 Feb).
+*/
+function shiftIsoDate(iso, n) {
+  if (!iso) return '';
+  const ym = shiftMonth(iso.slice(0, 7), n);
+  const last = lastDayOfMonth(ym);
+  return `${ym}-${String(Math.min(Number(iso.slice(8, 10)), Number(last.slice(8, 10)))).padStart(2, '0')}`;
+}
+
+/** BEGINNER_INLINE_DOCS:shiftPeriod
+* Purpose: The same kind of period moved n months (keeps quarters/FYs/years readable)
+* Fallback: anything else becomes an explicit 'from..to' range.
+*/
+function shiftPeriod(spec, n) {
+  let m;
+  if ((m = spec.match(/^\d{4}-\d{2}$/))) return shiftMonth(spec, n);
+  if ((m = spec.match(/^(\d{4})-Q([1-4])$/)) && n % 3 === 0) {
+    const ym = shiftMonth(`${m[1]}-${String((m[2] - 1) * 3 + 1).padStart(2, '0')}`, n);
+    return `${ym.slice(0, 4)}-Q${Math.ceil(Number(ym.slice(5)) / 3)}`;
+  }
+  if ((m = spec.match(/^(FY|CY)(\d{4})$/)) && n % 12 === 0) return `${m[1]}${Number(m[2]) + n / 12}`;
+  const period = parsePeriod(spec);
+  if (period.months) return [...period.months].map(ym => shiftMonth(ym, n)).sort().join(',');
+  return `${shiftIsoDate(period.from, n)}..${shiftIsoDate(period.to, n)}`;
+}
+
+/** BEGINNER_INLINE_DOCS:computeComparison
+* Purpose: Side-by-side category totals for MONTH_FILTER and its baseline
+* Output: { currentLabel, baseLabel, rows: [{ cat, current, base, delta, pct, status }] } or null
+* Sort: Biggest absolute change first; status is 'new', 'gone' or ''.
+*/
+function computeComparison(mode, periodSpec = MONTH_FILTER) {
+  if (!mode || !periodSpec) return null;
+  const all = accountFilteredTxns();
+  const span = periodMonthList(periodSpec);
+  const totalsFor = (spec) => {
+    const period = parsePeriod(spec);
+    return new Map(computeCategoryTotals(all.filter(t => periodContains(period, parseDateSmart(t.date)))).rows);
+  };
+  const current = totalsFor(periodSpec);
+  let base, baseLabel;
+  if (mode === 'avg6') {
+    const first = span[0];
+    const before = `${shiftMonth(first, -6)}-01..${lastDayOfMonth(shiftMonth(first, -1))}`;
+    base = new Map([...totalsFor(before)].map(([cat, v]) => [cat, v / 6 * span.length]));
+    baseLabel = `6-month average before ${formatMonthLabel(first)}${span.length > 1 ? ` × ${span.length} months` : ''}`;
+  } else {
+    const shift = mode === 'year' ? -12 : -monthRange(span[0], span[span.length - 1]).length;
+    const spec = shiftPeriod(periodSpec, shift);
+    base = totalsFor(spec);
+    baseLabel = parsePeriod(spec).label;
+  }
+
+  const rows = [];
+  for (const cat of new Set([...current.keys(), ...base.keys()])) {
+    const cur = current.get(cat) || 0;
+    const was = base.get(cat) || 0;
+    const status = !current.has(cat) ? 'gone' : (!base.has(cat) ? 'new' : '');
+    rows.push({ cat, current: cur, base: was, delta: cur - was, pct: was ? (cur - was) / Math.abs(was) * 100 : null, status });
+  }
+  rows.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return { currentLabel: parsePeriod(periodSpec).label, baseLabel, rows };
+}
+
+/** BEGINNER_INLINE_DOCS:renderComparisonTable
+* Purpose: Paint the comparison version of the Category Totals table
+* Colours: Spending up = .delta-up (red), down = .delta-down (green).
+*/
+function renderComparisonTable() {
+  const totalsDiv = document.getElementById('categoryTotals');
+  const cmp = computeComparison(COMPARE_MODE);
+  if (!cmp) {
+    totalsDiv.innerHTML = '<p class="muted">Pick a month or period above to compare it with ' + COMPARE_MODES[COMPARE_MODE] + '.</p>';
+    return;
+  }
+  const money = (v) => v.toFixed(2);
+  const signed = (v) => (v > 0 ? '+' : '') + v.toFixed(2);
+  let curSum = 0, baseSum = 0;
+  let html = `<p class="compare-caption">${escapeHtml(cmp.currentLabel)} <span class="muted">vs</span> ${escapeHtml(cmp.baseLabel)}</p>`;
+  html += '<table class="cats compare">';
+  html += `<thead><tr><th>Category</th><th class="num">${escapeHtml(cmp.currentLabel)}</th><th class="num">Baseline</th>` +
+          '<th class="num">Change</th><th class="num">%</th></tr></thead><tbody>';
+  for (const r of cmp.rows) {
+    curSum += r.current; baseSum += r.base;
+    const cls = r.delta > 0.005 ? 'delta-up' : (r.delta < -0.005 ? 'delta-down' : '');
+    const badge = r.status === 'new' ? ' <span class="compare-badge new">new</span>'
+      : (r.status === 'gone' ? ' <span class="compare-badge gone">gone</span>' : '');
+    html += `<tr>
+      <td><a class="catlink" data-cat="${escapeHtml(r.cat)}"><span class="category-name">${escapeHtml(toTitleCase(r.cat))}</span></a>${badge}</td>
+      <td class="num">${money(r.current)}</td>
+      <td class="num">${money(r.base)}</td>
+      <td class="num ${cls}">${signed(r.delta)}</td>
+      <td class="num ${cls}">${r.pct == null ? '—' : (r.pct > 0 ? '+' : '') + r.pct.toFixed(0) + '%'}</td>
+    </tr>`;
+  }
+  const diff = curSum - baseSum;
+  html += `</tbody><tfoot><tr><td>Total</td><td class="num">${money(curSum)}</td><td class="num">${money(baseSum)}</td>` +
+          `<td class="num">${signed(diff)}</td><td class="num">${baseSum ? (diff > 0 ? '+' : '') + (diff / Math.abs(baseSum) * 100).toFixed(0) + '%' : '—'}</td></tr></tfoot>`;
+  html += '</table>';
+  totalsDiv.innerHTML = html;
+
+  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
+    a.addEventListener('click', () => setCategoryFilter(a.getAttribute('data-cat')));
+  });
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 9e: RECURRING PAYMENTS
+* Finds merchants charged at a regular rhythm (subscriptions, insurance, rent…)
+* - Charges are grouped by merchant (merchantKey) across every account
+* - The typical gap between charges picks the cadence; amounts must be similar
+* - Flags: price increase, missed charge (a gap of 2+ cycles or overdue now),
+*          duplicate charge (two similar charges much closer than one cycle)
+* "Now" is the newest txn in the ledger, so old statements still make sense.
+*/
+// SECTION 9e: RECURRING PAYMENTS
+// ============================================================================
+
+const CADENCES = [
+  { key: 'weekly',    label: 'Weekly',    days: 7,      months: 0,  perYear: 52, tol: 0.15, min: 4 },
+  { key: 'monthly',   label: 'Monthly',   days: 30.44,  months: 1,  perYear: 12, tol: 0.12, min: 3 },
+  { key: 'quarterly', label: 'Quarterly', days: 91.31,  months: 3,  perYear: 4,  tol: 0.10, min: 3 },
+  { key: 'yearly',    label: 'Yearly',    days: 365.25, months: 12, perYear: 1,  tol: 0.05, min: 2 }
+];
+const RECURRING_AMOUNT_TOLERANCE = 0.3;   // ±30% of the typical charge
+
+/** BEGINNER_INLINE_DOCS:merchantKey
+* Purpose: Group key for one merchant: first 3 words of the description without numbers.
+*/
+function merchantKey(desc) {
+  return normaliseDescription(desc).split(' ').filter(tok => !/\d/.test(tok)).slice(0, 3).join(' ');
+}
+
+function daysBetween(a, b) {
+  return Math.round((b - a) / 86400000);
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** BEGINNER_INLINE_DOCS:nextChargeDate
+* Purpose: Expected date of the charge after 'last' (calendar months for monthly+).
+*/
+function nextChargeDate(lastIso, cadence) {
+  if (cadence.months) return shiftIsoDate(lastIso, cadence.months);
+  const d = parseDateSmart(lastIso);
+  d.setDate(d.getDate() + cadence.days);
+  return isoDate(d);
+}
+
+/** BEGINNER_INLINE_DOCS:analyseRecurring
+* Purpose: Decide whether one merchant's charges are recurring
+* Input: charges sorted by date ({ txn, date: Date, iso, amount })
+* Output: summary object or null when there is no steady rhythm.
+*/
+function analyseRecurring(charges, today) {
+  const typical = median(charges.map(c => c.amount));
+  const similar = charges.filter(c => Math.abs(c.amount - typical) <= typical * RECURRING_AMOUNT_TOLERANCE);
+  if (similar.length < 2 || similar.length < charges.length * 0.75) return null;
+
+  const gaps = [];
+  for (let i = 1; i < similar.length; i++) gaps.push(daysBetween(similar[i - 1].date, similar[i].date));
+  const typicalGap = median(gaps.filter(g => g > 2));
+  const cadence = CADENCES.find(c => Math.abs(typicalGap - c.days) <= c.days * c.tol);
+  if (!cadence || similar.length < cadence.min) return null;
+
+  // Walk the gaps: ~1 cycle = normal, ~k cycles = k-1 missed, much less = duplicate
+  const duplicates = [];
+  const missed = [];
+  let regular = 0;
+  for (let i = 1; i < similar.length; i++) {
+    const ratio = gaps[i - 1] / cadence.days;
+    const cycles = Math.round(ratio);
+    if (ratio < 0.5) { duplicates.push(similar[i].iso); continue; }
+    if (Math.abs(ratio - cycles) > cadence.tol * Math.max(1, cycles)) continue;
+    regular++;
+    let expected = similar[i - 1].iso;
+    for (let k = 1; k < cycles; k++) {
+      expected = nextChargeDate(expected, cadence);
+      missed.push(expected);
+    }
+  }
+  if (regular < Math.max(1, (similar.length - 1 - duplicates.length) * 0.6)) return null;
+
+  const last = similar[similar.length - 1];
+  const next = nextChargeDate(last.iso, cadence);
+  const overdueBy = daysBetween(parseDateSmart(next), today);
+  const overdue = overdueBy > Math.max(3, cadence.days * 0.25);
+
+  // Price increase: the latest amount vs the one before it changed
+  let increase = null;
+  for (let i = similar.length - 2; i >= 0; i--) {
+    if (Math.abs(similar[i].amount - last.amount) > 0.005) {
+      if (last.amount > similar[i].amount) increase = { from: similar[i].amount, to: last.amount, on: similar[i + 1].iso };
+      break;
+    }
+  }
+
+  return {
+    name: merchantKey(last.txn.description).toUpperCase() || last.txn.description,
+    category: last.txn.category || 'UNCATEGORISED',
+    account: last.txn.account || '',
+    cadence,
+    count: similar.length,
+    lastDate: last.iso,
+    lastAmount: last.amount,
+    next,
+    overdue,
+    annual: last.amount * cadence.perYear,
+    increase,
+    missed,
+    duplicates
+  };
+}
+
+/** BEGINNER_INLINE_DOCS:detectRecurring
+* Purpose: Scan CURRENT_TXNS and return recurring merchants, biggest yearly cost first.
+*/
+function detectRecurring(txns = CURRENT_TXNS) {
+  const groups = new Map();
+  let today = null;
+  for (const t of txns) {
+    const d = parseDateSmart(t.date);
+    if (!d || isNaN(d)) continue;
+    if (!today || d > today) today = d;
+    const amount = Number(t.amount) || 0;
+    if (amount <= 0) continue;
+    const key = merchantKey(t.description);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ txn: t, date: d, iso: isoDate(d), amount });
+  }
+  const out = [];
+  for (const charges of groups.values()) {
+    if (charges.length < 2) continue;
+    charges.sort((a, b) => a.date - b.date);
+    const found = analyseRecurring(charges, today);
+    if (found) out.push(found);
+  }
+  return out.sort((a, b) => b.annual - a.annual);
+}
+
+/** BEGINNER_INLINE_DOCS:renderRecurring
+* Purpose: Paint the recurring payments table (only while its panel is open).
+*/
+function renderRecurring() {
+  const details = document.getElementById('recurringDetails');
+  const box = document.getElementById('recurringList');
+  if (!details || !box || !details.open) return;
+  const list = detectRecurring();
+  if (!list.length) {
+    box.innerHTML = '<p class="muted">No recurring payments found yet. Import a few months of statements first.</p>';
+    return;
+  }
+  const total = list.reduce((acc, r) => acc + r.annual, 0);
+  let html = `<p class="muted">${list.length} recurring payment(s) · about <strong>$${total.toFixed(2)}</strong> a year</p>`;
+  html += '<table class="zebra recurring"><thead><tr><th>Merchant</th><th>Cadence</th><th>Last charge</th>' +
+          '<th>Next expected</th><th class="num">Per year</th><th>Notes</th></tr></thead><tbody>';
+  for (const r of list) {
+    const notes = [];
+    if (r.increase) notes.push(`<span class="flag warn">Price up ${r.increase.from.toFixed(2)} → ${r.increase.to.toFixed(2)} (${escapeHtml(r.increase.on)})</span>`);
+    if (r.missed.length) notes.push(`<span class="flag">Missed ${r.missed.map(escapeHtml).join(', ')}</span>`);
+    if (r.overdue) notes.push('<span class="flag">Overdue — cancelled?</span>');
+    if (r.duplicates.length) notes.push(`<span class="flag warn">Duplicate charge ${r.duplicates.map(escapeHtml).join(', ')}</span>`);
+    html += `<tr>
+      <td><strong>${escapeHtml(r.name)}</strong><br><small class="muted">${escapeHtml(toTitleCase(r.category))}${r.account ? ' · ' + escapeHtml(toTitleCase(r.account)) : ''} · ${r.count} charges</small></td>
+      <td>${r.cadence.label}</td>
+      <td>${escapeHtml(r.lastDate)}<br><small>${r.lastAmount.toFixed(2)}</small></td>
+      <td class="${r.overdue ? 'overdue' : ''}">${escapeHtml(r.next)}</td>
+      <td class="num">${r.annual.toFixed(2)}</td>
+      <td>${notes.join(' ') || '<span class="muted">—</span>'}</td>
+    </tr>`;
+  }
+  html += '</tbody></table>';
+  box.innerHTML = html;
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 10: MAIN RENDER
+* Render pipeline overview
+* - Load txns -> parse rules -> categorise -> render totals/table
+* - State lives in CURRENT_* variables; UI derives from state
+* - Minimise direct DOM mutations; batch via string building
+*/
+// SECTION 10: MAIN RENDER
+// ============================================================================
+
+/** BEGINNER_INLINE_DOCS:applyRulesAndRender
+* Purpose: Central orchestrator for re-render
+* Steps: Parse rules + budgets -> snapshot changed rules -> categorise -> render totals -> render table -> persist
+* Option: keepPage=true to avoid jumping back to page 1 after edits.
+*/
+function applyRulesAndRender({keepPage = false} = {}) { 
+  if (!keepPage) CURRENT_PAGE = 1;
+  CURRENT_RULES = parseRules(document.getElementById('rulesBox').value);
+  CURRENT_BUDGETS = parseBudgets(document.getElementById('rulesBox').value);
+  APPLIED_RULES = document.getElementById('rulesBox').value;
+  try { SL_Store.setItem(LS_KEYS.RULES, document.getElementById('rulesBox').value); } catch {}
+  snapshotRules(APPLIED_RULES);
+  // Categorise the whole ledger: budgets (rollover) and trends look at other months too
+  categorise(CURRENT_TXNS, CURRENT_RULES);
+  const txns = monthFilteredTxns();
+  renderMonthTotals();
+  renderCategoryTotals(txns);
+  renderCharts(txns);
+  renderTransactionsTable(txns);
+  renderRecurring();
+  renderTagView();
+  renderHistory();
+  updateTriageButton();
+  if (!RULE_DRAFT) renderRulesTable();
+  saveTxnsToStore();
+  renderStoredDataInfo();
+  try { updateMonthBanner(); } catch {}
+}
+
+// ============================================================================
+// SECTION 11: TXN TABLE & PAGER
+// ============================================================================
+
+/** BEGINNER_INLINE_DOCS:getFilteredTxns
+* Purpose: Apply the category filter (CURRENT_FILTER) and the search box on top of month filtering
+* Split txns match when any of their parts is in the filtered category.
+* A parent category ('TRAVEL') also matches its children ('TRAVEL > USA TRIP').
+* Returns: A narrowed array for rendering and summaries.
+*/
+function getFilteredTxns(txns) {
+  let out = txns;
+  if (CURRENT_FILTER) out = out.filter(t => txnCategories(t).some(cat => categoryInFilter(cat, CURRENT_FILTER)));
+  if (TXN_SEARCH.trim()) {
+    const query = parseTxnSearch(TXN_SEARCH);
+    out = out.filter(t => txnMatchesSearch(t, query));
+  }
+  return out;
+}
+
+/** BEGINNER_INLINE_DOCS:txnCategories
+* Purpose: Every category a txn counts towards (one, or one per split part).
+*/
+function txnCategories(t) {
+  const parts = t.id ? TXN_SPLITS[t.id] : null;
+  if (parts && parts.length) return parts.map(p => String(p.category || 'UNCATEGORISED').toUpperCase());
+  return [(t.category || 'UNCATEGORISED').toUpperCase()];
+}
+
+/** BEGINNER_INLINE_DOCS:updateFilterUI
+* Purpose: Show/hide the 'Show all' button and the current filter label.
+*/
+function updateFilterUI() {
+  const label = document.getElementById('activeFilter');
+  const btn = document.getElementById('clearFilterBtn');
+  if (CURRENT_FILTER) {
+    label.textContent = `— filtered by "${CURRENT_FILTER}"`;
+    btn.style.display = '';
+  } else {
+    label.textContent = '';
+    btn.style.display = 'none';
+  }
+}
+
+/** BEGINNER_INLINE_DOCS:updateMonthBanner
+* Purpose: Update the label near Section 2 heading with the active month.
 */
 function updateMonthBanner() {
   const banner = document.getElementById('monthBanner');
   const label = friendlyMonthOrAll(MONTH_FILTER);
-  banner.textContent = `— ${label}`;
+  const acct = ACCOUNT_FILTER ? ` · ${toTitleCase(ACCOUNT_FILTER)}` : '';
+  banner.textContent = `— ${label}${acct}`;
 }
 
 /** BEGINNER_INLINE_DOCS:renderTransactionsTable
 * Purpose: Paint the paged transactions table
+* Search/sort: Rows pass getFilteredTxns (category + search box), then sortTxns (header clicks)
 * Pagination: Uses CURRENT_PAGE and PAGE_SIZE
 * Performance: Builds HTML string once; attaches click handlers after.
 */
 function renderTransactionsTable(txns = monthFilteredTxns()) {
-  const filtered = getFilteredTxns(txns);
+  const filtered = sortTxns(getFilteredTxns(txns));
   const totalPages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
   if (CURRENT_PAGE > totalPages) CURRENT_PAGE = totalPages;
   if (CURRENT_PAGE < 1) CURRENT_PAGE = 1;
   const start = (CURRENT_PAGE - 1) * PAGE_SIZE;
   const pageItems = filtered.slice(start, start + PAGE_SIZE);
   const table = document.getElementById('transactionsTable');
-  let html = '<tr><th>Date</th><th>Amount</th><th>Category</th><th>Description</th><th></th></tr>';
+  const pageAllSelected = pageItems.length > 0 && pageItems.every(t => SELECTED_TXNS.has(t.id));
+  let html = `<tr><th class="sel-col"><input type="checkbox" id="selectPage" title="Select this page"${pageAllSelected ? ' checked' : ''}></th>` +
+             `${sortableHeader('date', 'Date')}${sortableHeader('amount', 'Amount')}${sortableHeader('category', 'Category')}` +
+             `${sortableHeader('description', 'Description')}<th>Account</th><th></th></tr>`;
   pageItems.forEach((t) => {
     const idx = CURRENT_TXNS.indexOf(t);
     const cat = (t.category || 'UNCATEGORISED').toUpperCase();
     const displayCat = toTitleCase(cat);
-    html += `<tr>
+    const selected = SELECTED_TXNS.has(t.id);
+    html += `<tr class="${selected ? 'selected' : ''}${isTxnCounted(t) ? '' : ' marked'}">
+      <td class="sel-col"><input type="checkbox" class="row-select" data-id="${escapeHtml(t.id)}"${selected ? ' checked' : ''}></td>
       <td>${escapeHtml(t.date)}</td>
-      <td>${t.amount.toFixed(2)}</td>
-      <td><span class="category-name">${escapeHtml(displayCat)}</span></td>
-      <td>${escapeHtml(t.description)}</td>
-      <td><button class="rule-btn" onclick="assignCategory(${idx})">+</button></td>
+      <td class="${t.amount < 0 ? 'credit' : ''}">${t.amount.toFixed(2)}</td>
+      <td>${renderCategoryCell(t, displayCat)}
+        ${t.overridden ? `<span class="manual-badge" title="Category set by hand">manual</span><button class="why-btn" onclick="clearCategoryOverride(${idx})" title="Go back to the rule-based category">×</button>` : ''}
+        ${renderMarkBadge(t, idx)}
+        <button class="why-btn" onclick="toggleExplain(${idx})" title="Why this category?">?</button></td>
+      <td>${escapeHtml(t.description)}${renderTagChips(t)}</td>
+      <td class="account-cell">${escapeHtml(toTitleCase(t.account || 'DEFAULT'))}</td>
+      <td class="row-actions"><button class="rule-btn" onclick="assignCategory(${idx})">+</button>
+        <button class="why-btn split-btn" onclick="splitTransaction(${idx})" title="Split across categories">Split</button>
+        <button class="why-btn tag-btn" onclick="editTxnTags(${idx})" title="Add or remove tags">#</button></td>
     </tr>`;
+    if (idx === EXPLAIN_IDX) {
+      html += `<tr class="why-row"><td colspan="7">${renderExplanationHtml(t)}</td></tr>`;
+    }
   });
   table.innerHTML = html;
+  table.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => setTxnSort(th.getAttribute('data-sort')));
+  });
+  table.querySelectorAll('input.row-select').forEach(box => {
+    box.addEventListener('change', () => toggleTxnSelection([box.getAttribute('data-id')], box.checked));
+  });
+  const pageBox = document.getElementById('selectPage');
+  if (pageBox) pageBox.addEventListener('change', () => toggleTxnSelection(pageItems.map(t => t.id), pageBox.checked));
   renderPager(totalPages);
+  renderBulkBar(filtered.length);
+}
+
+/** BEGINNER_INLINE_DOCS:renderCategoryCell
+* Purpose: Category text for a table row; split txns list their parts instead.
+*/
+function renderCategoryCell(t, displayCat) {
+  const parts = t.id ? TXN_SPLITS[t.id] : null;
+  if (!parts || !parts.length) return `<span class="category-name">${escapeHtml(displayCat)}</span>`;
+  const list = parts.map(p => `${escapeHtml(toTitleCase(p.category))} ${(Number(p.amount) || 0).toFixed(2)}`).join('<br>');
+  return `<span class="split-badge" title="Counted per part in totals">split ×${parts.length}</span><br><small class="split-parts">${list}</small>`;
+}
+
+/** BEGINNER_INLINE_DOCS:renderExplanationHtml
+* Purpose: "Why this category?" — every matching rule in precedence order
+* Shows: rule text, its line in the rules box, priority and specificity; the winner is marked.
+*/
+function renderExplanationHtml(txn) {
+  const { matches } = explainCategory(txn);
+  const manual = txn.id ? CATEGORY_OVERRIDES[txn.id] : undefined;
+  if (manual) {
+    const ruleCat = matches.length ? toTitleCase(matches[0].rule.category) : 'Uncategorised';
+    return `<div class="why-box">Set by hand to <strong>${escapeHtml(toTitleCase(manual))}</strong> ` +
+      `(manual choices beat rules; rules alone would give ${escapeHtml(ruleCat)}).</div>`;
+  }
+  if (!matches.length) {
+    return `<div class="why-box">No rule matches this description, so it is <strong>Uncategorised</strong>.</div>`;
+  }
+  let html = `<div class="why-box">Matched ${matches.length} rule${matches.length === 1 ? '' : 's'} ` +
+    `(higher !priority first, then most specific, then earliest line):<ol>`;
+  matches.forEach(({ rule, specificity }, i) => {
+    html += `<li class="${i === 0 ? 'why-winner' : ''}"><code>${escapeHtml(rule.source)} =&gt; ${escapeHtml(formatRuleTarget(rule))}</code>` +
+      ` <span class="muted">line ${rule.line || '?'} · priority ${rule.priority || 0} · specificity ${specificity}</span>` +
+      (i === 0 ? ' <strong>✓ wins</strong>' : '') + `</li>`;
+  });
+  html += `</ol></div>`;
+  return html;
+}
+
+/** BEGINNER_INLINE_DOCS:toggleExplain
+* Purpose: Open/close the explanation row under a transaction.
+*/
+function toggleExplain(idx) {
+  EXPLAIN_IDX = EXPLAIN_IDX === idx ? -1 : idx;
+  renderTransactionsTable();
 }
 
 /** BEGINNER_INLINE_DOCS:renderPager
@@ -651,6 +2979,137 @@ function renderPager(totalPages) {
   }
 }
 
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 11b: SEARCH & SORT
+* The search box above the transactions table (space separated terms, all must match):
+*   coles "coles express"   words / quoted phrases in the description
+*   >100  <=20  =12.50      size of the amount (same as amount conditions in rules)
+*   10..20                  amount range
+*   2025-07-05  2025-07     a day or a month (also 05/07/2025)
+*   >=2025-07-01  2025-07-01..2025-07-10   date comparisons and ranges
+*   #usa-trip               rows carrying a tag
+* The month summary (renderMonthTotals) counts the searched rows too.
+*/
+// SECTION 11b: SEARCH & SORT
+// ============================================================================
+
+const SEARCH_DATE_RE = /^(\d{4}-\d{2}(?:-\d{2})?|\d{1,2}\/\d{1,2}\/\d{2,4})$/;
+
+/** BEGINNER_INLINE_DOCS:searchDateBounds
+* Purpose: '2025-07' -> ['2025-07-01', '2025-07-31']; '05/07/2025' -> ['2025-07-05', '2025-07-05']
+* Returns: null when the text isn't a date.
+*/
+function searchDateBounds(text) {
+  if (/^\d{4}-\d{2}$/.test(text)) return [`${text}-01`, lastDayOfMonth(text)];
+  const d = parseDateSmart(text);
+  if (!d || isNaN(d)) return null;
+  return [isoDate(d), isoDate(d)];
+}
+
+/** BEGINNER_INLINE_DOCS:parseTxnSearch
+* Purpose: Turn the search box text into { words, amount, date, tags } (see the section header)
+* Notes: Terms that don't parse as an amount or date are searched as plain text.
+*/
+function parseTxnSearch(text) {
+  const query = { words: [], amount: null, date: null, tags: [] };
+  const terms = String(text || '').match(/"[^"]*"|\S+/g) || [];
+  for (const term of terms) {
+    let m;
+    if (term.startsWith('"')) {
+      const phrase = term.replace(/"/g, '').trim().toLowerCase();
+      if (phrase) query.words.push(phrase);
+    } else if (term.length > 1 && term.startsWith('#')) {
+      query.tags.push(normaliseTag(term));
+    } else if ((m = term.match(/^\$?(\d+(?:\.\d+)?)\.\.\$?(\d+(?:\.\d+)?)$/))) {
+      query.amount = applyRangeCondition(query.amount, '=', Number(m[1]), Number(m[2]));
+    } else if ((m = term.match(/^(<=|>=|<|>|=)\$?(\d+(?:\.\d+)?)$/))) {
+      query.amount = applyRangeCondition(query.amount, m[1], Number(m[2]));
+    } else if ((m = term.match(/^(\S+)\.\.(\S+)$/)) && SEARCH_DATE_RE.test(m[1]) && SEARCH_DATE_RE.test(m[2])) {
+      const from = searchDateBounds(m[1]), to = searchDateBounds(m[2]);
+      if (from && to) query.date = applyRangeCondition(query.date, '=', from[0], to[1]);
+      else query.words.push(term.toLowerCase());
+    } else if ((m = term.match(/^(<=|>=|<|>|=)?(.+)$/)) && SEARCH_DATE_RE.test(m[2]) && searchDateBounds(m[2])) {
+      const [first, last] = searchDateBounds(m[2]);
+      const op = m[1] || '=';
+      if (op === '=') query.date = applyRangeCondition(query.date, '=', first, last);
+      else if (op === '>' || op === '<=') query.date = applyRangeCondition(query.date, op, last);
+      else query.date = applyRangeCondition(query.date, op, first);
+    } else {
+      query.words.push(term.toLowerCase());
+    }
+  }
+  return query;
+}
+
+/** BEGINNER_INLINE_DOCS:txnMatchesSearch
+* Purpose: Does one txn pass every term of a parsed search?
+*/
+function txnMatchesSearch(t, query) {
+  const desc = String(t.description || '').toLowerCase();
+  if (!query.words.every(w => desc.includes(w))) return false;
+  if (query.amount && !inRange(Math.abs(Number(t.amount) || 0), query.amount)) return false;
+  if (query.date) {
+    const d = parseDateSmart(t.date);
+    if (!d || isNaN(d) || !inRange(isoDate(d), query.date)) return false;
+  }
+  if (query.tags.length && !query.tags.every(tag => (t.tags || []).includes(tag))) return false;
+  return true;
+}
+
+/** BEGINNER_INLINE_DOCS:setTxnSearch
+* Purpose: Update the search and repaint the table + month summary from page 1.
+*/
+function setTxnSearch(text) {
+  TXN_SEARCH = String(text || '');
+  CURRENT_PAGE = 1;
+  renderTransactionsTable();
+  renderMonthTotals();
+}
+
+/** BEGINNER_INLINE_DOCS:sortTxns
+* Purpose: Order rows by TXN_SORT (a copy; file order when no column is chosen)
+* Ties keep file order, so sorting by category lists each category's rows oldest first.
+*/
+function sortTxns(txns) {
+  const { key, dir } = TXN_SORT;
+  if (!key) return txns;
+  const value = {
+    date: t => { const d = parseDateSmart(t.date); return d && !isNaN(d) ? d.getTime() : 0; },
+    amount: t => Number(t.amount) || 0,
+    category: t => String(t.category || 'UNCATEGORISED').toLowerCase(),
+    description: t => String(t.description || '').toLowerCase()
+  }[key];
+  if (!value) return txns;
+  return txns.slice().sort((a, b) => {
+    const va = value(a), vb = value(b);
+    if (va === vb) return 0;
+    return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * dir;
+  });
+}
+
+/** BEGINNER_INLINE_DOCS:sortableHeader
+* Purpose: A clickable <th> showing ▲/▼ when it is the sort column.
+*/
+function sortableHeader(key, label) {
+  const active = TXN_SORT.key === key;
+  const arrow = active ? (TXN_SORT.dir > 0 ? ' ▲' : ' ▼') : '';
+  return `<th class="sortable${active ? ' sorted' : ''}" data-sort="${key}" title="Sort by ${label.toLowerCase()}"` +
+    ` aria-sort="${active ? (TXN_SORT.dir > 0 ? 'ascending' : 'descending') : 'none'}">${label}${arrow}</th>`;
+}
+
+/** BEGINNER_INLINE_DOCS:setTxnSort
+* Purpose: Header click: a new column sorts ascending, the same column flips,
+*          a third click goes back to file order. Remembered in SL_Store.
+*/
+function setTxnSort(key) {
+  if (TXN_SORT.key !== key) TXN_SORT = { key, dir: 1 };
+  else if (TXN_SORT.dir > 0) TXN_SORT = { key, dir: -1 };
+  else TXN_SORT = { key: '', dir: 1 };
+  try { SL_Store.setItem(LS_KEYS.TXN_SORT, JSON.stringify(TXN_SORT)); } catch {}
+  CURRENT_PAGE = 1;
+  renderTransactionsTable();
+}
+
 // ============================================================================
 // SECTION 12: EXPORT/IMPORT
 // ============================================================================
@@ -658,231 +3117,1390 @@ function renderPager(totalPages) {
 /** BEGINNER_INLINE_DOCS:exportTotals
 * Purpose: Create a fixed-width text report for totals
 * Formatting: Pads columns so the text exports neatly aligned
+* Level: #exportLevel picks 'detail' (every category path) or 'top' (parents rolled up)
+* Budgets: When any budget exists, Budget / Remaining / Used columns are added
 * File: Uses Blob + URL.createObjectURL to trigger a download.
 */
 function exportTotals() {
   const txns = monthFilteredTxns();
-  const { rows, grand } = computeCategoryTotals(txns);
+  const { rows: detail, grand } = computeCategoryTotals(txns);
+  const levelSel = document.getElementById('exportLevel');
+  const topLevel = !!levelSel && levelSel.value === 'top';
+  const rows = topLevel
+    ? [...rollupTotals(detail).entries()].filter(([cat]) => !cat.includes(' > ')).sort((a, b) => b[1] - a[1])
+    : detail;
   const label = friendlyMonthOrAll(MONTH_FILTER || getFirstTxnMonth(txns) || new Date());
-  const header = `SpendLite Category Totals (${label})`;
+  const acct = ACCOUNT_FILTER ? toTitleCase(ACCOUNT_FILTER) : 'All accounts';
+  const header = `SpendLite Category Totals (${label}, ${acct}${topLevel ? ', top level' : ''})`;
+  const budgets = computeBudgetStatus(accountFilteredTxns(), MONTH_FILTER);
+  for (const cat of budgets.keys()) {
+    if (topLevel && cat.includes(' > ')) continue;
+    if (!rows.some(([c]) => c === cat)) rows.push([cat, 0]);
+  }
   const catWidth = Math.max(8, ...rows.map(([cat]) => toTitleCase(cat).length), 'Category'.length);
   const amtWidth = 12;
   const pctWidth = 6;
+  const budgetCols = (b) => budgets.size
+    ? ' ' + (b ? b.budget.toFixed(2) : '').padStart(amtWidth) + ' ' + (b ? b.remaining.toFixed(2) : '').padStart(amtWidth) +
+      ' ' + (b ? b.pct.toFixed(0) + '%' : '').padStart(pctWidth) + (b && b.over ? '  OVER' : '')
+    : '';
   const lines = [];
   lines.push(header);
   lines.push('='.repeat(header.length));
-  lines.push('Category'.padEnd(catWidth) + ' ' + 'Amount'.padStart(amtWidth) + ' ' + '%'.padStart(pctWidth));
+  lines.push('Category'.padEnd(catWidth) + ' ' + 'Amount'.padStart(amtWidth) + ' ' + '%'.padStart(pctWidth) +
+    (budgets.size ? ' ' + 'Budget'.padStart(amtWidth) + ' ' + 'Remaining'.padStart(amtWidth) + ' ' + 'Used'.padStart(pctWidth) : ''));
   for (const [cat, total] of rows) {
     const pct = grand ? (total / grand * 100) : 0;
-    lines.push(toTitleCase(cat).padEnd(catWidth) + ' ' + total.toFixed(2).padStart(amtWidth) + ' ' + (pct.toFixed(1) + '%').padStart(pctWidth));
+    lines.push(toTitleCase(cat).padEnd(catWidth) + ' ' + total.toFixed(2).padStart(amtWidth) + ' ' + (pct.toFixed(1) + '%').padStart(pctWidth) +
+      budgetCols(budgets.get(cat)));
   }
   lines.push('');
   lines.push('TOTAL'.padEnd(catWidth) + ' ' + grand.toFixed(2).padStart(amtWidth) + ' ' + '100%'.padStart(pctWidth));
   const blob = new Blob([lines.join('\n')], { type: 'text/plain' });
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = `category_totals_${forFilename(label)}.txt`;
+  a.download = `category_totals_${forFilename(label)}${ACCOUNT_FILTER ? '_' + forFilename(ACCOUNT_FILTER) : ''}${topLevel ? '_top' : ''}.txt`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+/** BEGINNER_INLINE_DOCS:exportRules
+* Purpose: Download the raw rules text as a file for backup.
+*/
+function exportRules() {
+  const text = document.getElementById('rulesBox').value || '';
+  const blob = new Blob([text], {type: 'text/plain'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'rules_export.txt';
   document.body.appendChild(a);
   a.click();
   a.remove();
 }
 
-/** BEGINNER_INLINE_DOCS:exportRules
-* Purpose: Download the raw rules text as a file for backup.
+/** BEGINNER_INLINE_DOCS:importRulesFromFile
+* Purpose: Read .txt rules and load them into the textarea, then re-render
+* Extra: Alphabetises immediately so imported rules are tidy.
+*/
+function importRulesFromFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const text = reader.result || '';
+    const box = document.getElementById('rulesBox');
+    recordUndo(`Import rules from ${file.name || 'file'}`);
+    box.value = text;
+    try { RULES_CHANGED = true; } catch {}
+    // Tidy after import as well
+    tidyRulesBox();
+    try { box.dispatchEvent(new Event('input', { bubbles: true })); } catch {}
+    applyRulesAndRender();
+  };
+  reader.readAsText(file);
+}
+
+// ============================================================================
+// SECTION 13: CATEGORY ASSIGNMENT
+// ============================================================================
+
+/** BEGINNER_INLINE_DOCS:deriveKeywordFromTxn
+* Purpose: Suggest a starting rule keyword from a txn description
+* Strategy: Extract alphanumeric tokens; prefer 'PAYPAL' or post-'VISA' tokens
+* Why: Speeds up adding rules by guessing a sensible keyword.
+*/
+function deriveKeywordFromTxn(txn) {
+  if (!txn) return "";
+  const desc = String(txn.description || txn.desc || "").trim();
+  if (!desc) return "";
+  const tokens = (desc.match(/[A-Za-z0-9&._]+/g) || []).map(s => s.toLowerCase());
+  if (!tokens.length) return "";
+  function join3(k) { return tokens.slice(k, k + 3).filter(Boolean).map(s => s.toUpperCase()).join(' '); }
+  const up = desc.toUpperCase();
+  const paypalIdx = tokens.indexOf('paypal');
+  if (paypalIdx !== -1) return join3(paypalIdx);
+  if (/\bVISA-/.test(up)) {
+    const visaTokIdx = tokens.indexOf('visa');
+    if (visaTokIdx !== -1) return join3(Math.min(visaTokIdx + 1, Math.max(0, tokens.length - 1)));
+  }
+  return join3(0);
+}
+
+/** BEGINNER_INLINE_DOCS:addOrUpdateRuleLine
+* Purpose: Insert or update a rule in the rules textarea
+* Behaviour: Rewrites existing line if keyword exists; otherwise appends
+* Post-step: Calls tidyRulesBox to keep rule formatting consistent (new rules go last).
+*/
+function addOrUpdateRuleLine(keywordUpper, categoryUpper) {
+  if (!keywordUpper || !categoryUpper) return false;
+  const box = document.getElementById('rulesBox');
+  if (!box) return false;
+  const lines = String(box.value || '').split(/\r?\n/);
+  let updated = false;
+  const kwLower = keywordUpper.toLowerCase();
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+    const parts = line.split(/=>/i);
+    if (parts.length >= 2) {
+      const existingKw = parts[0].trim().toLowerCase();
+      if (existingKw === kwLower) {
+        // Keep any #tags the old line had
+        const { tags } = parseRuleTarget(parts.slice(1).join('=>'));
+        lines[i] = `${keywordUpper} => ${formatRuleTarget({ category: categoryUpper, tags })}`;
+        updated = true;
+        break;
+      }
+    }
+  }
+  if (!updated) lines.push(`${keywordUpper} => ${categoryUpper}`);
+  box.value = lines.join("\n");
+  tidyRulesBox();
+  try { RULES_CHANGED = true; } catch {}
+  try { box.dispatchEvent(new Event('input', { bubbles: true })); } catch {}
+  try { SL_Store.setItem(LS_KEYS.RULES, box.value); } catch {}
+  return true;
+}
+
+/** BEGINNER_INLINE_DOCS:pickerCategories
+* Purpose: The list SL_CatPicker shows: '+ Add new category...', 'Uncategorised', then A-Z
+* Source: categories on txns + rules (deduplicated).
+*/
+function pickerCategories() {
+  const fromTxns = (Array.isArray(CURRENT_TXNS) ? CURRENT_TXNS : []).map(x => (x.category || '').trim());
+  const fromRules = (Array.isArray(CURRENT_RULES) ? CURRENT_RULES : []).map(r => (r.category || '').trim ? r.category : (r.category || ''));
+  const merged = Array.from(new Set([...fromTxns, ...fromRules].map(c => (c || '').trim()).filter(Boolean)));
+  let base = Array.from(new Set(merged));
+  base = base.map(c => (c.toUpperCase() === 'UNCATEGORISED' ? 'Uncategorised' : c));
+  if (!base.includes('Uncategorised')) base.unshift('Uncategorised');
+  base.unshift('+ Add new category...');
+  const specials = new Set(['+ Add new category...', 'Uncategorised']);
+  const rest = base.filter(c => !specials.has(c)).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  return ['+ Add new category...', 'Uncategorised', ...rest];
+}
+
+/** BEGINNER_INLINE_DOCS:isAddCategoryChoice
+* Purpose: Did the picker return the '+ Add new category...' entry?
+*/
+function isAddCategoryChoice(chosen) {
+  const ch = String(chosen || '').trim();
+  return ch.startsWith('➕') || ch.startsWith('+') || ch.toLowerCase().indexOf('add new category') !== -1;
+}
+
+/** BEGINNER_INLINE_DOCS:assignCategory
+* Purpose: Open the category picker, then apply user's selection
+* Flow: Build a deduplicated category list (from txns + rules) -> open modal -> onChoose()
+* After: The choice is saved as a manual override for this txn (it survives Recalculate),
+*        then we offer to add/update a rule for future auto-categorisation.
+*/
+function assignCategory(idx) {
+  const categories = pickerCategories();
+  const current = ((CURRENT_TXNS && CURRENT_TXNS[idx] && CURRENT_TXNS[idx].category) || '').trim() || 'Uncategorised';
+
+  const txnForSuggest = CURRENT_TXNS && CURRENT_TXNS[idx];
+  const suggestions = txnForSuggest ? suggestCategories(txnForSuggest)
+    .filter(sg => sg.category !== String(txnForSuggest.category || '').toUpperCase()) : [];
+
+  SL_CatPicker.openCategoryPicker({
+    categories,
+    current,
+    suggestions,
+    onChoose: (chosen) => {
+      if (chosen && isAddCategoryChoice(chosen)) {
+        try { document.getElementById('catpickerBackdrop').classList.remove('show'); } catch {}
+        return assignCategory_OLD(idx);
+      }
+      const txn = CURRENT_TXNS && CURRENT_TXNS[idx];
+      if (!txn || !chosen) return;
+      const norm = (chosen === 'Uncategorised') ? 'UNCATEGORISED' : normaliseCategoryPath(chosen);
+      recordUndo(`Categorise ${txn.description} as ${toTitleCase(norm)}`);
+      setCategoryOverride(txn, norm);
+      if (norm !== 'UNCATEGORISED') {
+        const kw = deriveKeywordFromTxn(txn);
+        if (kw && confirm(`Also add the rule "${kw} => ${norm}" so similar transactions follow?`)) {
+          addOrUpdateRuleLine(kw, norm);
+        }
+      }
+      applyRulesAndRender({keepPage: true});
+    }
+  });
+}
+
+function assignCategory_OLD(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn) return;
+  const suggestedKeyword = deriveKeywordFromTxn(txn);
+  const keywordInput = prompt("Enter keyword to match:", suggestedKeyword);
+  if (!keywordInput) return;
+  const keyword = keywordInput.trim().toUpperCase();
+  const defaultCat = (txn.category || "UNCATEGORISED").toUpperCase();
+  const catInput = prompt("Enter category name:", defaultCat);
+  if (!catInput) return;
+  const category = normaliseCategoryPath(catInput);
+  recordUndo(`Rule ${keyword} => ${category}`);
+  const box = document.getElementById('rulesBox');
+  const lines = String(box.value || "").split(/\r?\n/);
+  let updated = false;
+  for (let i = 0; i < lines.length; i++) {
+    const line = (lines[i] || "").trim();
+    if (!line || line.startsWith('#')) continue;
+    const parts = line.split(/=>/i);
+    if (parts.length >= 2) {
+      const k = parts[0].trim().toUpperCase();
+      if (k === keyword) { lines[i] = `${keyword} => ${category}`; updated = true; break; }
+    }
+  }
+  if (!updated) lines.push(`${keyword} => ${category}`);
+  box.value = lines.join("\n");
+  setCategoryOverride(txn, category);
+  tidyRulesBox();
+  try { RULES_CHANGED = true; } catch {}
+  try { box.dispatchEvent(new Event('input', { bubbles: true })); } catch {}
+  try { SL_Store.setItem(LS_KEYS.RULES, box.value); } catch {}
+  if (typeof applyRulesAndRender === 'function') {
+    applyRulesAndRender({keepPage: true});
+  }
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 13b: MANUAL OVERRIDES
+* A category picked by hand for one transaction
+* - Stored in CATEGORY_OVERRIDES as { txnId: CATEGORY } and saved to SL_Store
+* - categorise() applies them after the rules, so they always win
+* - Cleared per row (× next to the "manual" badge) or in bulk for the current view
+*/
+// SECTION 13b: MANUAL OVERRIDES
+// ============================================================================
+
+function saveOverridesToStore() {
+  try { SL_Store.setItem(LS_KEYS.OVERRIDES, JSON.stringify(CATEGORY_OVERRIDES || {})); } catch {}
+}
+
+function readStoredOverrides() {
+  try {
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.OVERRIDES) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch { return {}; }
+}
+
+/** BEGINNER_INLINE_DOCS:setCategoryOverride
+* Purpose: Pin a txn to a category regardless of rules (persists immediately).
+*/
+function setCategoryOverride(txn, category) {
+  if (!txn || !category) return;
+  if (!txn.id) assignTxnIds([txn], CURRENT_TXNS);
+  CATEGORY_OVERRIDES[txn.id] = normaliseCategoryPath(category);
+  txn.category = CATEGORY_OVERRIDES[txn.id];
+  txn.overridden = true;
+  saveOverridesToStore();
+}
+
+/** BEGINNER_INLINE_DOCS:clearCategoryOverride
+* Purpose: Remove the manual choice for one row so rules decide again.
+*/
+function clearCategoryOverride(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn || !txn.id || !(txn.id in CATEGORY_OVERRIDES)) return;
+  recordUndo(`Clear manual category on ${txn.description}`);
+  delete CATEGORY_OVERRIDES[txn.id];
+  saveOverridesToStore();
+  applyRulesAndRender({keepPage: true});
+}
+
+/** BEGINNER_INLINE_DOCS:clearOverridesInView
+* Purpose: Bulk-clear manual choices for every txn in the current account/month/category view.
+*/
+function clearOverridesInView() {
+  const ids = getFilteredTxns(monthFilteredTxns())
+    .map(t => t.id)
+    .filter(id => id && id in CATEGORY_OVERRIDES);
+  if (!ids.length) { showSaveStatus('ℹ No manual categories in this view', 'info'); return; }
+  if (!confirm(`Clear ${ids.length} manual categor${ids.length === 1 ? 'y' : 'ies'} in this view? Rules will decide again.`)) return;
+  recordUndo(`Clear ${ids.length} manual categor${ids.length === 1 ? 'y' : 'ies'}`);
+  for (const id of ids) delete CATEGORY_OVERRIDES[id];
+  saveOverridesToStore();
+  applyRulesAndRender({keepPage: true});
+  showSaveStatus(`✓ Cleared ${ids.length} manual categor${ids.length === 1 ? 'y' : 'ies'}`, 'success');
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 13c: SPLIT TRANSACTIONS
+* One purchase, several categories (e.g. a Coles shop that is groceries + household)
+* - TXN_SPLITS holds { txnId: [{ amount, category }] } and is saved to SL_Store
+* - Parts must add up to the original amount (checked in split-modal.js and here)
+* - Totals, month summary and exports count the parts via expandSplits()
+*/
+// SECTION 13c: SPLIT TRANSACTIONS
+// ============================================================================
+
+function saveSplitsToStore() {
+  try { SL_Store.setItem(LS_KEYS.SPLITS, JSON.stringify(TXN_SPLITS || {})); } catch {}
+}
+
+function readStoredSplits() {
+  try {
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.SPLITS) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch { return {}; }
+}
+
+/** BEGINNER_INLINE_DOCS:knownCategories
+* Purpose: Sorted, de-duplicated category names from txns, splits and rules.
+*/
+function knownCategories() {
+  const set = new Set();
+  for (const t of CURRENT_TXNS) if (t.category) set.add(String(t.category).toUpperCase());
+  for (const parts of Object.values(TXN_SPLITS)) for (const p of parts) if (p.category) set.add(String(p.category).toUpperCase());
+  for (const r of CURRENT_RULES) if (r.category) set.add(String(r.category).toUpperCase());
+  return Array.from(set).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+/** BEGINNER_INLINE_DOCS:setTxnSplit
+* Purpose: Save (or remove, with an empty list) the parts for one txn
+* Validation: parts must sum to the txn amount (to the cent); otherwise nothing changes.
+* Returns: true when saved.
+*/
+function setTxnSplit(txn, parts) {
+  if (!txn) return false;
+  if (!txn.id) assignTxnIds([txn], CURRENT_TXNS);
+  if (!parts || !parts.length) {
+    delete TXN_SPLITS[txn.id];
+    saveSplitsToStore();
+    return true;
+  }
+  const cents = (v) => Math.round((Number(v) || 0) * 100);
+  const sum = parts.reduce((acc, p) => acc + cents(p.amount), 0);
+  // Same 'PARENT > CHILD' form as rules and overrides, so split parts roll up too
+  const clean = parts.map(p => ({ amount: cents(p.amount) / 100, category: normaliseCategoryPath(p.category) }));
+  if (sum !== cents(txn.amount) || clean.some(p => !p.category)) return false;
+  TXN_SPLITS[txn.id] = clean;
+  saveSplitsToStore();
+  return true;
+}
+
+/** BEGINNER_INLINE_DOCS:splitTransaction
+* Purpose: Open the split editor for a table row, then save and re-render.
+*/
+function splitTransaction(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn) return;
+  SL_Split.openSplitEditor({
+    txn,
+    categories: knownCategories(),
+    parts: (txn.id && TXN_SPLITS[txn.id]) || [],
+    onSave: (parts) => {
+      const before = captureState();
+      if (!setTxnSplit(txn, parts)) { alert('Split parts must add up to the original amount.'); return; }
+      recordUndo(`Split ${txn.description}`, before);
+      applyRulesAndRender({keepPage: true});
+    },
+    onRemove: () => {
+      recordUndo(`Remove split on ${txn.description}`);
+      setTxnSplit(txn, []);
+      applyRulesAndRender({keepPage: true});
+    }
+  });
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 13d: TRIAGE QUEUE
+* Work through UNCATEGORISED and NOT SURE rows one merchant group at a time
+* - Rows are grouped by deriveKeywordFromTxn (the same guess the "+" button uses),
+*   minus store/reference numbers (4+ digits)
+* - Biggest groups first (by row count, then total amount)
+* - Accepting adds 'KEYWORD => CATEGORY', re-renders and rebuilds the queue
+* Manual and split rows are left alone: a person already decided those.
+*/
+// SECTION 13d: TRIAGE QUEUE
+// ============================================================================
+
+const TRIAGE_CATEGORIES = new Set(['UNCATEGORISED', 'NOT SURE']);
+
+function needsTriage(t) {
+  return TRIAGE_CATEGORIES.has(String(t.category || 'UNCATEGORISED').toUpperCase()) &&
+    !t.overridden && !(t.id && TXN_SPLITS[t.id]);
+}
+
+/** BEGINNER_INLINE_DOCS:triageKeyword
+* Purpose: deriveKeywordFromTxn without store/reference numbers ('KMART 1234' -> 'KMART'),
+*          so one merchant's rows land in one group.
+* Note: Only 4+ digit tokens go (like normaliseDescription): '7 ELEVEN 2132' -> '7 ELEVEN'.
+*/
+function triageKeyword(t) {
+  const keyword = deriveKeywordFromTxn(t);
+  return keyword.split(' ').filter(tok => !/^\d{4,}$/.test(tok)).join(' ') || keyword;
+}
+
+/** BEGINNER_INLINE_DOCS:buildTriageGroups
+* Purpose: [{ keyword, count, total, txns, current }] for the selected account(s)
+*/
+function buildTriageGroups() {
+  const groups = new Map();
+  for (const t of accountFilteredTxns()) {
+    if (!needsTriage(t)) continue;
+    const keyword = triageKeyword(t);
+    if (!keyword) continue;
+    if (!groups.has(keyword)) groups.set(keyword, { keyword, count: 0, total: 0, txns: [], current: '' });
+    const g = groups.get(keyword);
+    g.count++;
+    g.total += Number(t.amount) || 0;
+    g.txns.push(t);
+  }
+  for (const g of groups.values()) {
+    const cats = new Set(g.txns.map(t => String(t.category || 'UNCATEGORISED').toUpperCase()));
+    g.current = [...cats].map(toTitleCase).join(' / ');
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count || Math.abs(b.total) - Math.abs(a.total));
+}
+
+/** BEGINNER_INLINE_DOCS:countKeywordMatches
+* Purpose: What 'KEYWORD => CATEGORY' would do if it were added: how many rows it would
+*          win, their total, and how many of them already sit in another real category (they move).
+* Precedence: The candidate is ranked with the other rules like categorise() does (see
+*             rankedRuleMatches), so rows a higher-priority or more specific rule keeps don't count.
+* Scope: Every account, because the rule it previews applies to every account.
+*/
+function countKeywordMatches(keyword, category = '') {
+  let count = 0, total = 0, moved = 0;
+  const kw = String(keyword || '').trim().toUpperCase();
+  const cat = normaliseCategoryPath(category);
+  const candidate = kw ? parseRuleLine(`${kw} => ${cat || 'UNCATEGORISED'}`) : null;
+  if (!candidate) return { count, total, moved };
+  // Where addOrUpdateRuleLine would put it: over a rule with the same left side, else last
+  const rules = parseRules(document.getElementById('rulesBox').value);
+  const at = rules.findIndex(r => r.source.toLowerCase() === candidate.source.toLowerCase());
+  if (at === -1) rules.push(candidate);
+  else rules[at] = candidate;
+  const { winnerOf } = rankedRuleMatches(rules);
+  CURRENT_TXNS.forEach((t, i) => {
+    if (winnerOf[i] !== candidate || (t.id && TXN_SPLITS[t.id])) return;
+    count++;
+    total += Number(t.amount) || 0;
+    const now = String(t.category || 'UNCATEGORISED').toUpperCase();
+    if (!TRIAGE_CATEGORIES.has(now) && now !== cat) moved++;
+  });
+  return { count, total, moved };
+}
+
+/** BEGINNER_INLINE_DOCS:updateTriageButton
+* Purpose: Show how many rows are waiting on the "Review uncategorised" button.
+*/
+function updateTriageButton() {
+  const btn = document.getElementById('triageBtn');
+  if (!btn) return;
+  const waiting = accountFilteredTxns().filter(needsTriage).length;
+  btn.textContent = waiting ? `Review uncategorised (${waiting})` : 'Review uncategorised';
+  btn.disabled = !waiting;
+}
+
+/** BEGINNER_INLINE_DOCS:openTriage
+* Purpose: Open the triage modal (triage-modal.js) over the current groups.
+*/
+function openTriage() {
+  const groups = buildTriageGroups();
+  if (!groups.length) { alert('Nothing to review: every row has a category.'); return; }
+  SL_Triage.openTriage({
+    groups,
+    categories: knownCategories().filter(c => !TRIAGE_CATEGORIES.has(c)),
+    countMatches: countKeywordMatches,
+    onAccept: (keyword, category) => {
+      recordUndo(`Rule ${keyword} => ${category}`);
+      addOrUpdateRuleLine(keyword, category);
+      applyRulesAndRender({keepPage: true});
+      return buildTriageGroups();
+    }
+  });
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 13e: SUGGESTED CATEGORIES
+* Guess a category for a row from what the app already knows
+* - Naive Bayes on description words, trained on rule keywords and category names
+*   (counted double: someone wrote them on purpose) and every categorised transaction
+* - Amount similarity: a $4.50 charge looks more like COFFEE than RENT
+* - Merchant prefix: rows starting with the same word usually share a category
+* Confidence is the share of the combined score (0..1) among all categories.
+*/
+// SECTION 13e: SUGGESTED CATEGORIES
+// ============================================================================
+
+const SUGGEST_RULE_WEIGHT = 2;
+const SUGGEST_SMOOTHING = 0.1;
+const SUGGEST_AUTO_TICK = 0.6;   // Bulk review: rows at/above this confidence start ticked
+
+/** BEGINNER_INLINE_DOCS:suggestionTokens
+* Purpose: Description -> merchant words (no numbers, no 1-letter bits)
+*/
+function suggestionTokens(desc) {
+  return normaliseDescription(desc).split(' ').filter(tok => tok.length >= 2 && !/\d/.test(tok));
+}
+
+/** BEGINNER_INLINE_DOCS:buildSuggestionModel
+* Purpose: Count words per category from rules + categorised history (built once per use)
+*/
+function buildSuggestionModel() {
+  const cats = new Map();
+  const prefixes = new Map();
+  const vocab = new Set();
+  let docs = 0;
+  const entry = (cat) => {
+    if (!cats.has(cat)) cats.set(cat, { words: new Map(), total: 0, docs: 0, amounts: [] });
+    return cats.get(cat);
+  };
+  const learn = (cat, tokens, weight) => {
+    const e = entry(cat);
+    for (const tok of tokens) {
+      e.words.set(tok, (e.words.get(tok) || 0) + weight);
+      e.total += weight;
+      vocab.add(tok);
+    }
+    e.docs += weight;
+    docs += weight;
+  };
+
+  const named = new Set();
+  for (const r of CURRENT_RULES) {
+    const cat = String(r.category || '').toUpperCase();
+    if (!r.keyword || !cat || TRIAGE_CATEGORIES.has(cat)) continue;
+    learn(cat, suggestionTokens(r.keyword), SUGGEST_RULE_WEIGHT);
+    // The category name is evidence too ('ZZZ COFFEE ROASTERS' -> COFFEE)
+    if (!named.has(cat)) { named.add(cat); learn(cat, suggestionTokens(cat), SUGGEST_RULE_WEIGHT); }
+  }
+  for (const t of CURRENT_TXNS) {
+    const cat = String(t.category || 'UNCATEGORISED').toUpperCase();
+    if (TRIAGE_CATEGORIES.has(cat)) continue;
+    const tokens = suggestionTokens(t.description);
+    learn(cat, tokens, 1);
+    const amt = Math.abs(Number(t.amount) || 0);
+    if (amt) entry(cat).amounts.push(amt);
+    if (tokens[0]) {
+      if (!prefixes.has(tokens[0])) prefixes.set(tokens[0], new Map());
+      const p = prefixes.get(tokens[0]);
+      p.set(cat, (p.get(cat) || 0) + 1);
+    }
+  }
+  for (const e of cats.values()) e.medianAmount = median(e.amounts);
+  return { cats, prefixes, vocab, docs };
+}
+
+/** BEGINNER_INLINE_DOCS:suggestCategories
+* Purpose: Top categories for one txn: [{ category, confidence }] best first
+* Returns [] when none of the words (or the first word) have been seen before.
+*/
+function suggestCategories(txn, model = buildSuggestionModel(), limit = 3) {
+  const tokens = suggestionTokens(txn && txn.description);
+  const known = tokens.filter(tok => model.vocab.has(tok));
+  const prefix = model.prefixes.get(tokens[0]);
+  if (!model.cats.size || (!known.length && !prefix)) return [];
+
+  // Naive Bayes log scores -> probabilities
+  const V = model.vocab.size || 1;
+  const logs = [];
+  for (const [cat, e] of model.cats) {
+    // Half-weight prior and light smoothing: busy categories shouldn't win on size alone
+    let score = 0.5 * Math.log((e.docs + 1) / (model.docs + model.cats.size));
+    for (const tok of known) score += Math.log(((e.words.get(tok) || 0) + SUGGEST_SMOOTHING) / (e.total + SUGGEST_SMOOTHING * V));
+    logs.push([cat, score]);
+  }
+  const top = Math.max(...logs.map(([, v]) => v));
+  const amount = Math.abs(Number(txn.amount) || 0);
+  const prefixTotal = prefix ? [...prefix.values()].reduce((a, b) => a + b, 0) : 0;
+
+  const scored = logs.map(([cat, score]) => {
+    const e = model.cats.get(cat);
+    let p = Math.exp(score - top);
+    // Amount: 1.0 at the category's typical amount, fading towards 0.5
+    if (amount && e.medianAmount) p *= 0.5 + 0.5 * Math.exp(-Math.abs(Math.log(amount / e.medianAmount)));
+    else p *= 0.75;
+    // Merchant prefix: up to 3× for categories the first word usually lands in
+    if (prefixTotal) p *= 1 + 2 * ((prefix.get(cat) || 0) / prefixTotal);
+    return [cat, p];
+  });
+  const sum = scored.reduce((acc, [, p]) => acc + p, 0) || 1;
+  return scored
+    .map(([category, p]) => ({ category, confidence: p / sum }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+/** BEGINNER_INLINE_DOCS:autoSuggestUncategorised
+* Purpose: Suggest one rule per triage group, let the user review, then write the ticked rules.
+*/
+function autoSuggestUncategorised() {
+  const groups = buildTriageGroups();
+  if (!groups.length) { alert('Nothing to suggest: every row has a category.'); return; }
+  const model = buildSuggestionModel();
+  const items = groups.map(g => {
+    const typical = median(g.txns.map(t => Math.abs(Number(t.amount) || 0)));
+    const best = suggestCategories({ description: g.txns[0].description, amount: typical }, model, 1)[0];
+    return {
+      keyword: g.keyword,
+      count: g.count,
+      total: g.total,
+      example: g.txns[0].description,
+      category: best ? best.category : '',
+      confidence: best ? best.confidence : 0
+    };
+  }).sort((a, b) => b.confidence - a.confidence);
+
+  SL_SuggestReview.openSuggestReview({
+    items,
+    categories: knownCategories().filter(c => !TRIAGE_CATEGORIES.has(c)),
+    threshold: SUGGEST_AUTO_TICK,
+    onCommit: (chosen) => {
+      if (!chosen.length) return;
+      recordUndo(`Add ${chosen.length} suggested rule${chosen.length === 1 ? '' : 's'}`);
+      chosen.forEach(({keyword, category}) => addOrUpdateRuleLine(keyword, category));
+      applyRulesAndRender({keepPage: true});
+      showSaveStatus(`✓ Added ${chosen.length} rule${chosen.length === 1 ? '' : 's'}`, 'success');
+    }
+  });
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 13f: TAGS & EVENTS
+* Tags cut across categories: a holiday's food stays FOOD but also carries #usa-trip
+* - Rules add tags with a suffix: 'DINER => TAKEAWAY #usa-trip'
+* - TXN_TAGS holds manual tags per txn id (the '#' button on a row)
+* - TAG_EVENTS tag every txn dated inside a window (e.g. the trip dates)
+* - The tag view totals each tag, broken down by category (split-aware)
+*/
+// SECTION 13f: TAGS & EVENTS
+// ============================================================================
+
+/** BEGINNER_INLINE_DOCS:normaliseTag
+* Purpose: '#USA Trip' -> 'usa-trip' (lowercase, dashes, no '#')
+*/
+function normaliseTag(tag) {
+  return String(tag || '').trim().replace(/^#+/, '').toLowerCase()
+    .replace(/\s+/g, '-').replace(/[^a-z0-9_\-]/g, '').replace(/^-+|-+$/g, '');
+}
+
+function saveTagsToStore() {
+  try { SL_Store.setItem(LS_KEYS.TAGS, JSON.stringify(TXN_TAGS || {})); } catch {}
+}
+
+function readStoredTags() {
+  try {
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.TAGS) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch { return {}; }
+}
+
+function saveEventsToStore() {
+  try { SL_Store.setItem(LS_KEYS.EVENTS, JSON.stringify(TAG_EVENTS || [])); } catch {}
+}
+
+function readStoredEvents() {
+  try {
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.EVENTS) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(e => e && e.tag && e.from && e.to) : [];
+  } catch { return []; }
+}
+
+/** BEGINNER_INLINE_DOCS:txnTags
+* Purpose: Every tag on a txn: rule tags + manual tags + events covering its date (sorted, unique)
+*/
+function txnTags(t, ruleTags = []) {
+  const tags = new Set(ruleTags);
+  for (const tag of (t.id && TXN_TAGS[t.id]) || []) tags.add(tag);
+  if (TAG_EVENTS.length) {
+    const d = parseDateSmart(t.date);
+    const iso = d ? isoDate(d) : '';
+    for (const ev of TAG_EVENTS) if (iso && iso >= ev.from && iso <= ev.to) tags.add(ev.tag);
+  }
+  return [...tags].sort();
+}
+
+/** BEGINNER_INLINE_DOCS:renderTagChips
+* Purpose: Small '#tag' labels under a description (manual ones can be told apart by their title).
+*/
+function renderTagChips(t) {
+  if (!t.tags || !t.tags.length) return '';
+  const manual = new Set((t.id && TXN_TAGS[t.id]) || []);
+  return '<br>' + t.tags.map(tag =>
+    `<span class="tag-chip" title="${manual.has(tag) ? 'Tagged by hand' : 'From a rule or event'}">#${escapeHtml(tag)}</span>`
+  ).join(' ');
+}
+
+/** BEGINNER_INLINE_DOCS:setTxnTags
+* Purpose: Save (or clear, with an empty list) the manual tags for one txn.
+*/
+function setTxnTags(txn, tags) {
+  if (!txn) return;
+  if (!txn.id) assignTxnIds([txn], CURRENT_TXNS);
+  const clean = [...new Set(tags.map(normaliseTag).filter(Boolean))].sort();
+  if (clean.length) TXN_TAGS[txn.id] = clean;
+  else delete TXN_TAGS[txn.id];
+  saveTagsToStore();
+}
+
+/** BEGINNER_INLINE_DOCS:editTxnTags
+* Purpose: Ask for the manual tags of one row (space or comma separated).
+*/
+function editTxnTags(idx) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn) return;
+  const current = ((txn.id && TXN_TAGS[txn.id]) || []).map(t => '#' + t).join(' ');
+  const input = prompt(`Tags for "${txn.description}" (space separated, e.g. #usa-trip #work):`, current);
+  if (input === null) return;
+  recordUndo(`Tags on ${txn.description}`);
+  setTxnTags(txn, input.split(/[\s,]+/));
+  applyRulesAndRender({keepPage: true});
+}
+
+/** BEGINNER_INLINE_DOCS:addTagEvent
+* Purpose: Tag every txn from..to (inclusive, 'YYYY-MM-DD') with one tag.
+*/
+function addTagEvent(tag, from, to) {
+  const clean = normaliseTag(tag);
+  if (!clean || !from || !to) return false;
+  recordUndo(`Event #${clean} ${from} → ${to}`);
+  TAG_EVENTS.push({ tag: clean, from, to });
+  TAG_EVENTS.sort((a, b) => a.from.localeCompare(b.from));
+  saveEventsToStore();
+  applyRulesAndRender({keepPage: true});
+  return true;
+}
+
+function removeTagEvent(index) {
+  const ev = TAG_EVENTS[index];
+  if (!ev) return;
+  recordUndo(`Remove event #${ev.tag}`);
+  TAG_EVENTS.splice(index, 1);
+  saveEventsToStore();
+  applyRulesAndRender({keepPage: true});
+}
+
+/** BEGINNER_INLINE_DOCS:computeTagTotals
+* Purpose: Spending per tag, broken down by category
+* Input: txns (usually every month for the selected account: trips cross month ends)
+* Output: [{ tag, total, count, from, to, rows: [[category, total]...] }] biggest first
+*/
+function computeTagTotals(txns) {
+  const byTag = new Map();
+  for (const t of txns.filter(isTxnCounted)) {
+    for (const tag of t.tags || []) {
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(t);
+    }
+  }
+  const out = [];
+  for (const [tag, list] of byTag) {
+    const { rows, grand } = computeCategoryTotals(list);
+    const dates = list.map(t => parseDateSmart(t.date)).filter(Boolean).map(isoDate).sort();
+    out.push({ tag, total: grand, count: list.length, from: dates[0] || '', to: dates[dates.length - 1] || '', rows });
+  }
+  return out.sort((a, b) => b.total - a.total);
+}
+
+/** BEGINNER_INLINE_DOCS:renderTagView
+* Purpose: Section 6 — events list plus the per-tag totals (only while the panel is open).
+*/
+function renderTagView() {
+  const details = document.getElementById('tagsDetails');
+  if (!details || !details.open) return;
+
+  const evBox = document.getElementById('eventsList');
+  evBox.innerHTML = TAG_EVENTS.length
+    ? '<ul class="events-list">' + TAG_EVENTS.map((ev, i) =>
+        `<li><span class="tag-chip">#${escapeHtml(ev.tag)}</span> ${escapeHtml(ev.from)} → ${escapeHtml(ev.to)} ` +
+        `<button class="why-btn event-del" data-i="${i}" title="Remove event">×</button></li>`).join('') + '</ul>'
+    : '<p class="muted"><small>No events yet.</small></p>';
+  evBox.querySelectorAll('button.event-del').forEach(btn => {
+    btn.addEventListener('click', () => removeTagEvent(Number(btn.getAttribute('data-i'))));
+  });
+
+  const box = document.getElementById('tagTotals');
+  const tags = computeTagTotals(accountFilteredTxns());
+  if (!tags.length) {
+    box.innerHTML = '<p class="muted">No tagged transactions yet. Add <code>#tag</code> to a rule, tag a row with "#", or add an event.</p>';
+    return;
+  }
+  let html = '<table class="cats tag-totals"><thead><tr><th>Tag / category</th><th class="num">Rows</th><th class="num">Total</th><th class="num">%</th></tr></thead><tbody>';
+  for (const t of tags) {
+    html += `<tr class="cat-parent"><td><span class="tag-chip">#${escapeHtml(t.tag)}</span> <small class="muted">${escapeHtml(t.from)} → ${escapeHtml(t.to)}</small></td>` +
+      `<td class="num">${t.count}</td><td class="num">${t.total.toFixed(2)}</td><td></td></tr>`;
+    for (const [cat, total] of t.rows) {
+      const pct = t.total ? (total / t.total * 100) : 0;
+      html += `<tr style="--depth:1"><td class="cat-cell">${escapeHtml(toTitleCase(cat))}</td><td></td>` +
+        `<td class="num${total < 0 ? ' credit' : ''}">${total.toFixed(2)}</td><td class="num">${pct.toFixed(1)}%</td></tr>`;
+    }
+  }
+  html += '</tbody></table>';
+  box.innerHTML = html;
+}
+
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 13g: BULK ACTIONS
+* Tick rows (or a whole page, or everything matching the filter + search) and act once
+* - SELECTED_TXNS holds txn ids, so the selection survives paging and sorting
+* - Each action is recorded with recordUndo() first, so "Undo" reverts it in one step
+* - "Mark as transfer / excluded" sets TXN_MARKS (by txn id): the rows keep their category
+*   but are left out of totals, charts, budgets, the month summary and exports
+*/
+// SECTION 13g: BULK ACTIONS
+// ============================================================================
+
+const BULK_MARKS = { transfer: 'Transfer', excluded: 'Excluded' };
+
+function saveMarksToStore() {
+  try { SL_Store.setItem(LS_KEYS.TXN_MARKS, JSON.stringify(TXN_MARKS || {})); } catch {}
+}
+
+function readStoredMarks() {
+  try {
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.TXN_MARKS) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch { return {}; }
+}
+
+/** BEGINNER_INLINE_DOCS:isTxnCounted
+* Purpose: false for rows marked as transfer/excluded (TXN_MARKS)
+* Use: Totals, charts, budgets, tag totals, the month summary and exports skip them;
+*      the transactions table still lists them, with a badge.
+*/
+function isTxnCounted(t) {
+  const id = t && (t.splitOf || t.id);   // split parts follow their parent
+  return !(id && BULK_MARKS[TXN_MARKS[id]]);
+}
+
+/** BEGINNER_INLINE_DOCS:renderMarkBadge
+* Purpose: 'transfer' / 'excluded' badge (with × to count the row again) for the category cell.
+*/
+function renderMarkBadge(t, idx) {
+  const kind = t.id ? TXN_MARKS[t.id] : '';
+  if (!BULK_MARKS[kind]) return '';
+  return `<span class="mark-badge" title="Not counted in totals, charts or budgets">${BULK_MARKS[kind].toLowerCase()}</span>` +
+    `<button class="why-btn" onclick="clearTxnMark(${idx})" title="Count this row again">×</button>`;
+}
+
+/** BEGINNER_INLINE_DOCS:clearTxnMark
+* Purpose: Count one row again (the × next to its transfer/excluded badge).
+*/
+function clearTxnMark(idx) {
+  const t = CURRENT_TXNS[idx];
+  if (!t || !t.id || !TXN_MARKS[t.id]) return;
+  recordUndo(`Count ${t.description} again`);
+  delete TXN_MARKS[t.id];
+  saveMarksToStore();
+  applyRulesAndRender({keepPage: true});
+}
+
+/** BEGINNER_INLINE_DOCS:selectedTxns
+* Purpose: The ticked txns that still exist in the ledger (in ledger order).
+*/
+function selectedTxns() {
+  return CURRENT_TXNS.filter(t => t.id && SELECTED_TXNS.has(t.id));
+}
+
+/** BEGINNER_INLINE_DOCS:toggleTxnSelection
+* Purpose: Tick/untick several ids at once, then repaint the table.
 */
-function exportRules() {
-  const text = document.getElementById('rulesBox').value || '';
-  const blob = new Blob([text], {type: 'text/plain'});
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = 'rules_export.txt';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+function toggleTxnSelection(ids, on) {
+  for (const id of ids) {
+    if (!id) continue;
+    if (on) SELECTED_TXNS.add(id);
+    else SELECTED_TXNS.delete(id);
+  }
+  renderTransactionsTable();
 }
 
-/** BEGINNER_INLINE_DOCS:importRulesFromFile
-* Purpose: Read .txt rules and load them into the textarea, then re-render
-* Extra: Alphabetises immediately so imported rules are tidy.
+/** BEGINNER_INLINE_DOCS:selectAllMatching
+* Purpose: Tick every row passing the current month/account/category/search filters.
 */
-function importRulesFromFile(file) {
-  const reader = new FileReader();
-  reader.onload = () => {
-    const text = reader.result || '';
-    const box = document.getElementById('rulesBox');
-    box.value = text;
-    try { RULES_CHANGED = true; } catch {}
-    // Sort after import as well
-    sortRulesBox();
-    try { box.dispatchEvent(new Event('input', { bubbles: true })); } catch {}
-    applyRulesAndRender();
-  };
-  reader.readAsText(file);
+function selectAllMatching() {
+  toggleTxnSelection(getFilteredTxns(monthFilteredTxns()).map(t => t.id), true);
 }
 
-// ============================================================================
-// SECTION 13: CATEGORY ASSIGNMENT
-// ============================================================================
+function clearTxnSelection() {
+  SELECTED_TXNS.clear();
+  renderTransactionsTable();
+}
 
-/** BEGINNER_INLINE_DOCS:deriveKeywordFromTxn
-* Purpose: Suggest a starting rule keyword from a txn description
-* Strategy: Extract alphanumeric tokens; prefer 'PAYPAL' or post-'VISA' tokens
-* Why: Speeds up adding rules by guessing a sensible keyword.
+/** BEGINNER_INLINE_DOCS:renderBulkBar
+* Purpose: Show the bulk action bar while rows are ticked ("3 selected · select all 120 matching")
 */
-function deriveKeywordFromTxn(txn) {
-  if (!txn) return "";
-  const desc = String(txn.description || txn.desc || "").trim();
-  if (!desc) return "";
-  const tokens = (desc.match(/[A-Za-z0-9&._]+/g) || []).map(s => s.toLowerCase());
-  if (!tokens.length) return "";
-  function join3(k) { return tokens.slice(k, k + 3).filter(Boolean).map(s => s.toUpperCase()).join(' '); }
-  const up = desc.toUpperCase();
-  const paypalIdx = tokens.indexOf('paypal');
-  if (paypalIdx !== -1) return join3(paypalIdx);
-  if (/\bVISA-/.test(up)) {
-    const visaTokIdx = tokens.indexOf('visa');
-    if (visaTokIdx !== -1) return join3(Math.min(visaTokIdx + 1, Math.max(0, tokens.length - 1)));
+function renderBulkBar(matching) {
+  const bar = document.getElementById('bulkBar');
+  if (!bar) return;
+  const count = selectedTxns().length;
+  bar.style.display = count ? '' : 'none';
+  document.getElementById('bulkCount').textContent = `${count} selected`;
+  const all = document.getElementById('bulkSelectAllBtn');
+  all.textContent = `Select all ${matching} matching`;
+  all.disabled = count >= matching;
+}
+
+/** BEGINNER_INLINE_DOCS:bulkSetCategory
+* Purpose: Pin every selected txn to one category (manual overrides, one undo step).
+*/
+function bulkSetCategory(category, label = `Set ${selectedTxns().length} row(s) to ${toTitleCase(category)}`) {
+  const txns = selectedTxns();
+  const cat = category === 'Uncategorised' ? 'UNCATEGORISED' : normaliseCategoryPath(category);
+  if (!txns.length || !cat) return;
+  recordUndo(label);
+  for (const t of txns) {
+    CATEGORY_OVERRIDES[t.id] = cat;
+    // A split's parts would hide the new category, so bulk categorising un-splits
+    delete TXN_SPLITS[t.id];
   }
-  return join3(0);
+  saveOverridesToStore();
+  saveSplitsToStore();
+  applyRulesAndRender({keepPage: true});
+  showSaveStatus(`✓ ${txns.length} row(s) set to ${toTitleCase(cat)}`, 'success');
 }
 
-/** BEGINNER_INLINE_DOCS:addOrUpdateRuleLine
-* Purpose: Insert or update a rule in the rules textarea
-* Behaviour: Rewrites existing line if keyword exists; otherwise appends
-* Post-step: Calls sortRulesBox to keep rules alphabetised.
+/** BEGINNER_INLINE_DOCS:openBulkCategoryPicker
+* Purpose: One trip through SL_CatPicker for the whole selection.
 */
-function addOrUpdateRuleLine(keywordUpper, categoryUpper) {
-  if (!keywordUpper || !categoryUpper) return false;
-  const box = document.getElementById('rulesBox');
-  if (!box) return false;
-  const lines = String(box.value || '').split(/\r?\n/);
-  let updated = false;
-  const kwLower = keywordUpper.toLowerCase();
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line || line.startsWith('#')) continue;
-    const parts = line.split(/=>/i);
-    if (parts.length >= 2) {
-      const existingKw = parts[0].trim().toLowerCase();
-      if (existingKw === kwLower) {
-        lines[i] = `${keywordUpper} => ${categoryUpper}`;
-        updated = true;
-        break;
+function openBulkCategoryPicker() {
+  if (!selectedTxns().length) return;
+  SL_CatPicker.openCategoryPicker({
+    categories: pickerCategories(),
+    current: '',
+    onChoose: (chosen) => {
+      if (!chosen) return;
+      if (isAddCategoryChoice(chosen)) {
+        try { document.getElementById('catpickerBackdrop').classList.remove('show'); } catch {}
+        chosen = prompt('New category name:');
+        if (!chosen || !chosen.trim()) return;
       }
+      bulkSetCategory(chosen);
     }
+  });
+}
+
+/** BEGINNER_INLINE_DOCS:bulkAddTag
+* Purpose: Add one manual tag to every selected txn.
+*/
+function bulkAddTag() {
+  const txns = selectedTxns();
+  if (!txns.length) return;
+  const tag = normaliseTag(prompt(`Tag to add to ${txns.length} row(s) (e.g. #usa-trip):`) || '');
+  if (!tag) return;
+  recordUndo(`Tag ${txns.length} row(s) #${tag}`);
+  for (const t of txns) setTxnTags(t, [...((TXN_TAGS[t.id]) || []), tag]);
+  applyRulesAndRender({keepPage: true});
+  showSaveStatus(`✓ Tagged ${txns.length} row(s) #${tag}`, 'success');
+}
+
+/** BEGINNER_INLINE_DOCS:bulkMark
+* Purpose: 'transfer' or 'excluded' — leave the selected rows out of every total
+*          (categories are kept, so unmarking puts them straight back).
+*/
+function bulkMark(kind) {
+  const txns = selectedTxns();
+  if (!BULK_MARKS[kind] || !txns.length) return;
+  recordUndo(`Mark ${txns.length} row(s) as ${kind}`);
+  for (const t of txns) TXN_MARKS[t.id] = kind;
+  saveMarksToStore();
+  applyRulesAndRender({keepPage: true});
+  showSaveStatus(`✓ ${txns.length} row(s) marked as ${kind} (not counted in totals)`, 'success');
+}
+
+/** BEGINNER_INLINE_DOCS:bulkUnmark
+* Purpose: Count the selected rows again.
+*/
+function bulkUnmark() {
+  const txns = selectedTxns().filter(t => TXN_MARKS[t.id]);
+  if (!txns.length) return;
+  recordUndo(`Count ${txns.length} row(s) again`);
+  for (const t of txns) delete TXN_MARKS[t.id];
+  saveMarksToStore();
+  applyRulesAndRender({keepPage: true});
+}
+
+/** BEGINNER_INLINE_DOCS:bulkDelete
+* Purpose: Remove the selected txns from the ledger (with their overrides, splits and tags).
+*/
+function bulkDelete() {
+  const txns = selectedTxns();
+  if (!txns.length) return;
+  if (!confirm(`Delete ${txns.length} transaction(s) from the ledger? (Undo brings them back.)`)) return;
+  recordUndo(`Delete ${txns.length} row(s)`);
+  const ids = new Set(txns.map(t => t.id));
+  CURRENT_TXNS = CURRENT_TXNS.filter(t => !ids.has(t.id));
+  for (const id of ids) {
+    delete CATEGORY_OVERRIDES[id];
+    delete TXN_SPLITS[id];
+    delete TXN_TAGS[id];
+    delete TXN_MARKS[id];
+    SELECTED_TXNS.delete(id);
   }
-  if (!updated) lines.push(`${keywordUpper} => ${categoryUpper}`);
-  box.value = lines.join("\n");
-  // Ensure alphabetical order after any change
-  sortRulesBox();
-  try { RULES_CHANGED = true; } catch {}
-  try { box.dispatchEvent(new Event('input', { bubbles: true })); } catch {}
-  try { localStorage.setItem(LS_KEYS.RULES, box.value); } catch {}
-  return true;
+  saveOverridesToStore();
+  saveSplitsToStore();
+  saveTagsToStore();
+  saveMarksToStore();
+  saveTxnsToStore();
+  rebuildAccountDropdown();
+  rebuildMonthDropdown();
+  applyRulesAndRender({keepPage: true});
+  showSaveStatus(`✓ Deleted ${ids.size} row(s)`, 'success');
 }
 
-/** BEGINNER_INLINE_DOCS:assignCategory
-* Purpose: Open the category picker, then apply user's selection
-* Flow: Build a deduplicated category list (from txns + rules) -> open modal -> onChoose()
-* After: If chosen, also suggest adding/updating a rule for future auto-categorisation.
+/** BEGINNER_INLINE_DOCS:commonDescriptionWords
+* Purpose: Words found in every description, in the order of the first one
+* Example: 'COLES 1234 SYDNEY', 'COLES 987 MELBOURNE' -> 'COLES'
+* Skips: reference numbers (4+ digits) and the noise words normaliseDescription drops (VISA, EFTPOS…);
+*        short numbers stay, so '7-ELEVEN 2132' gives '7 ELEVEN'.
+* Note: The words need not be next to each other; bulkCreateRule checks the rule really matches.
 */
-function assignCategory(idx) {
-  const fromTxns = (Array.isArray(CURRENT_TXNS) ? CURRENT_TXNS : []).map(x => (x.category || '').trim());
-  const fromRules = (Array.isArray(CURRENT_RULES) ? CURRENT_RULES : []).map(r => (r.category || '').trim ? r.category : (r.category || ''));
-  const merged = Array.from(new Set([...fromTxns, ...fromRules].map(c => (c || '').trim()).filter(Boolean)));
-  let base = Array.from(new Set(merged));
-  base = base.map(c => (c.toUpperCase() === 'UNCATEGORISED' ? 'Uncategorised' : c));
-  if (!base.includes('Uncategorised')) base.unshift('Uncategorised');
-  base.unshift('+ Add new category...');
-  const specials = new Set(['+ Add new category...', 'Uncategorised']);
-  const rest = base.filter(c => !specials.has(c)).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
-  const categories = ['+ Add new category...', 'Uncategorised', ...rest];
-  const current = ((CURRENT_TXNS && CURRENT_TXNS[idx] && CURRENT_TXNS[idx].category) || '').trim() || 'Uncategorised';
+function commonDescriptionWords(txns) {
+  const wordSets = txns.map(t => new Set(normaliseDescription(t.description).split(' ').filter(Boolean)));
+  if (!wordSets.length) return '';
+  const [first, ...rest] = wordSets;
+  return [...first].filter(w => rest.every(set => set.has(w))).join(' ').toUpperCase();
+}
 
+/** BEGINNER_INLINE_DOCS:bulkCreateRule
+* Purpose: Build 'COMMON WORDS => CATEGORY' from the selection (keyword editable first).
+* Check: The keyword is tried (ruleMatches) on every selected row first; if it misses
+*        any, the user is warned and can go back and edit it.
+*/
+function bulkCreateRule() {
+  const txns = selectedTxns();
+  if (!txns.length) return;
+  const common = commonDescriptionWords(txns);
+  let suggestion = common;
+  let keyword = '';
+  for (;;) {
+    keyword = (prompt(
+      common ? `Words shared by all ${txns.length} description(s). Edit the rule keyword if needed:`
+             : 'The selected descriptions share no words. Type a rule keyword:', suggestion) || '').trim().toUpperCase();
+    if (!keyword) return;
+    const rule = parseRuleLine(`${keyword} => UNCATEGORISED`);
+    const missed = rule ? txns.filter(t => !ruleMatches(rule, t)) : txns;
+    if (!missed.length || confirm(
+      `${keyword} would only catch ${txns.length - missed.length} of the ${txns.length} selected row(s).\n` +
+      `Missed, e.g.: ${missed[0].description}\n\nCreate the rule anyway? (Cancel to edit the keyword.)`)) break;
+    suggestion = keyword;
+  }
   SL_CatPicker.openCategoryPicker({
-    categories,
-    current,
+    categories: pickerCategories().filter(c => !isAddCategoryChoice(c) && c !== 'Uncategorised'),
+    current: '',
+    suggestions: suggestCategories(txns[0]),
     onChoose: (chosen) => {
-      if (chosen) {
-        const ch = String(chosen).trim();
-        const lo = ch.toLowerCase();
-        const isAdd = ch.startsWith('➕') || ch.startsWith('+') || lo.indexOf('add new category') !== -1;
-        if (isAdd) {
-          try { document.getElementById('catpickerBackdrop').classList.remove('show'); } catch {}
-          return assignCategory_OLD(idx);
-        }
-      }
-      const norm = (chosen === 'Uncategorised') ? '' : String(chosen).trim().toUpperCase();
-      if (CURRENT_TXNS && CURRENT_TXNS[idx]) {
-        CURRENT_TXNS[idx].category = norm;
-      }
-      try {
-        if (norm) {
-          const kw = deriveKeywordFromTxn(CURRENT_TXNS[idx]);
-          if (kw) {
-            const added = addOrUpdateRuleLine(kw, norm);
-            if (added && typeof applyRulesAndRender === 'function') {
-              applyRulesAndRender({keepPage: true});
-            } else {
-              renderMonthTotals(); renderTransactionsTable();
-            }
-          } else { renderMonthTotals(); renderTransactionsTable(); }
-        } else { renderMonthTotals(); renderTransactionsTable(); }
-      } catch (e) { try { renderMonthTotals(); renderTransactionsTable(); } catch {} }
+      const cat = normaliseCategoryPath(chosen);
+      if (!cat) return;
+      recordUndo(`Rule ${keyword} => ${cat}`);
+      addOrUpdateRuleLine(keyword, cat);
+      applyRulesAndRender({keepPage: true});
+      showSaveStatus(`✓ Added rule ${keyword} => ${cat}`, 'success');
     }
   });
 }
 
-function assignCategory_OLD(idx) {
-  const txn = CURRENT_TXNS[idx];
-  if (!txn) return;
-  const suggestedKeyword = deriveKeywordFromTxn(txn);
-  const keywordInput = prompt("Enter keyword to match:", suggestedKeyword);
-  if (!keywordInput) return;
-  const keyword = keywordInput.trim().toUpperCase();
-  const defaultCat = (txn.category || "UNCATEGORISED").toUpperCase();
-  const catInput = prompt("Enter category name:", defaultCat);
-  if (!catInput) return;
-  const category = catInput.trim().toUpperCase();
+// ============================================================================
+/** BEGINNER_INLINE_DOCS:SECTION 13h: UNDO / REDO & HISTORY
+* Every change a person makes is one step: rule edits, rule imports, CSV imports,
+* category picks, splits, tags, events and bulk actions.
+* - Before changing anything, the action calls recordUndo(label) which snapshots the
+*   editable state: rules text, ledger, import batches, manual categories, splits, tags, events
+* - Undo puts the snapshot back (the state it replaces moves to REDO_STACK); Redo reverses that
+* - Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside text boxes; text boxes keep their own undo
+* - The History panel (Section 7) lists each step with what it changed (describeStateChange)
+*/
+// SECTION 13h: UNDO / REDO & HISTORY
+// ============================================================================
+
+const UNDO_LIMIT = 30;
+
+/** BEGINNER_INLINE_DOCS:captureState
+* Purpose: Copy everything an action might change (txn objects are shared, the list is copied).
+*/
+function captureState() {
+  return {
+    rules: document.getElementById('rulesBox').value,
+    txns: CURRENT_TXNS.slice(),
+    batches: IMPORT_BATCHES.slice(),
+    overrides: JSON.parse(JSON.stringify(CATEGORY_OVERRIDES)),
+    splits: JSON.parse(JSON.stringify(TXN_SPLITS)),
+    tags: JSON.parse(JSON.stringify(TXN_TAGS)),
+    marks: { ...TXN_MARKS },
+    events: JSON.parse(JSON.stringify(TAG_EVENTS))
+  };
+}
+
+/** BEGINNER_INLINE_DOCS:restoreState
+* Purpose: Put a captured state back, persist it and repaint everything.
+*/
+function restoreState(state) {
+  document.getElementById('rulesBox').value = state.rules;
+  try { SL_Store.setItem(LS_KEYS.RULES, state.rules); } catch {}
+  try { RULES_CHANGED = state.rules !== INITIAL_RULES; } catch {}
+  RULE_DRAFT = null;
+  CURRENT_TXNS = state.txns.slice();
+  IMPORT_BATCHES = state.batches.slice();
+  CATEGORY_OVERRIDES = state.overrides;
+  TXN_SPLITS = state.splits;
+  TXN_TAGS = state.tags;
+  TXN_MARKS = state.marks;
+  TAG_EVENTS = state.events;
+  saveBatchesToStore();
+  saveOverridesToStore();
+  saveSplitsToStore();
+  saveTagsToStore();
+  saveMarksToStore();
+  saveEventsToStore();
+  rebuildAccountDropdown();
+  rebuildMonthDropdown();
+  applyRulesAndRender({keepPage: true});
+}
+
+/** BEGINNER_INLINE_DOCS:recordUndo
+* Purpose: Call just before changing state; label says what "Undo" will revert
+* Option: pass a state captured earlier when the change is only known afterwards.
+* Note: A new step clears the redo list (like every editor).
+*/
+function recordUndo(label, state = captureState()) {
+  UNDO_STACK.push({ label, state, at: new Date() });
+  if (UNDO_STACK.length > UNDO_LIMIT) UNDO_STACK.shift();
+  REDO_STACK = [];
+  updateUndoButton();
+}
+
+function undoLast() {
+  const step = UNDO_STACK.pop();
+  if (!step) return;
+  REDO_STACK.push({ label: step.label, state: captureState(), at: step.at });
+  restoreState(step.state);
+  updateUndoButton();
+  showSaveStatus(`↶ Undone: ${step.label}`, 'info');
+}
+
+function redoLast() {
+  const step = REDO_STACK.pop();
+  if (!step) return;
+  UNDO_STACK.push({ label: step.label, state: captureState(), at: step.at });
+  restoreState(step.state);
+  updateUndoButton();
+  showSaveStatus(`↷ Redone: ${step.label}`, 'info');
+}
+
+/** BEGINNER_INLINE_DOCS:recordRulesTextEdit
+* Purpose: Typing in the raw rules box isn't a step until it is applied (Recalculate);
+*          then one step covers the difference from the last applied rules.
+*/
+function recordRulesTextEdit() {
   const box = document.getElementById('rulesBox');
-  const lines = String(box.value || "").split(/\r?\n/);
-  let updated = false;
-  for (let i = 0; i < lines.length; i++) {
-    const line = (lines[i] || "").trim();
-    if (!line || line.startsWith('#')) continue;
-    const parts = line.split(/=>/i);
-    if (parts.length >= 2) {
-      const k = parts[0].trim().toUpperCase();
-      if (k === keyword) { lines[i] = `${keyword} => ${category}`; updated = true; break; }
-    }
+  if (APPLIED_RULES === null || box.value === APPLIED_RULES) return;
+  recordUndo('Edit rules text', { ...captureState(), rules: APPLIED_RULES });
+}
+
+/** BEGINNER_INLINE_DOCS:updateUndoButton
+* Purpose: Enable/label the Undo and Redo buttons and refresh the History panel.
+*/
+function updateUndoButton() {
+  const last = UNDO_STACK[UNDO_STACK.length - 1];
+  const next = REDO_STACK[REDO_STACK.length - 1];
+  const undoBtn = document.getElementById('undoBtn');
+  if (undoBtn) {
+    undoBtn.disabled = !last;
+    undoBtn.title = last ? `Undo: ${last.label} (Ctrl+Z)` : 'Nothing to undo';
   }
-  if (!updated) lines.push(`${keyword} => ${category}`);
-  box.value = lines.join("\n");
-  sortRulesBox();
-  try { RULES_CHANGED = true; } catch {}
-  try { box.dispatchEvent(new Event('input', { bubbles: true })); } catch {}
-  try { localStorage.setItem(LS_KEYS.RULES, box.value); } catch {}
-  if (typeof applyRulesAndRender === 'function') {
-    applyRulesAndRender({keepPage: true});
+  const redoBtn = document.getElementById('redoBtn');
+  if (redoBtn) {
+    redoBtn.disabled = !next;
+    redoBtn.title = next ? `Redo: ${next.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+  renderHistory();
+}
+
+/** BEGINNER_INLINE_DOCS:describeStateChange
+* Purpose: Short notes on what differs between two states (for the History panel)
+* Example: ['+1 rule: COLES => GROCERIES', '3 manual categories', '+120 transactions']
+*/
+function describeStateChange(before, after) {
+  const notes = [];
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const ruleLines = (text) => String(text || '').split(/\r?\n/).map(l => l.trim()).filter(l => (l && !l.startsWith('#')) || /^#\s*BUDGET:/i.test(l));
+  const oldRules = new Set(ruleLines(before.rules));
+  const newRules = new Set(ruleLines(after.rules));
+  const added = [...newRules].filter(l => !oldRules.has(l));
+  const removed = [...oldRules].filter(l => !newRules.has(l));
+  const sample = (list) => (list.length <= 2 ? ': ' + list.join(' · ') : '');
+  if (added.length) notes.push(`+${plural(added.length, 'rule')}${sample(added)}`);
+  if (removed.length) notes.push(`−${plural(removed.length, 'rule')}${sample(removed)}`);
+
+  const oldIds = new Set(before.txns.map(t => t.id));
+  const newIds = new Set(after.txns.map(t => t.id));
+  const txnsAdded = after.txns.filter(t => !oldIds.has(t.id)).length;
+  const txnsRemoved = before.txns.filter(t => !newIds.has(t.id)).length;
+  if (txnsAdded) notes.push(`+${plural(txnsAdded, 'transaction')}`);
+  if (txnsRemoved) notes.push(`−${plural(txnsRemoved, 'transaction')}`);
+
+  const changedKeys = (a, b) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].filter(k => JSON.stringify(a[k]) !== JSON.stringify(b[k])).length;
+  };
+  const overrides = changedKeys(before.overrides, after.overrides);
+  if (overrides) notes.push(`${overrides} manual categor${overrides === 1 ? 'y' : 'ies'}`);
+  const splits = changedKeys(before.splits, after.splits);
+  if (splits) notes.push(plural(splits, 'split'));
+  const tags = changedKeys(before.tags, after.tags);
+  if (tags) notes.push(`tags on ${plural(tags, 'row')}`);
+  const marks = changedKeys(before.marks, after.marks);
+  if (marks) notes.push(`${plural(marks, 'row')} marked/unmarked`);
+  const events = after.events.length - before.events.length;
+  if (events) notes.push(`${events > 0 ? '+' : '−'}${plural(Math.abs(events), 'event')}`);
+  return notes;
+}
+
+/** BEGINNER_INLINE_DOCS:renderHistory
+* Purpose: Section 7 — done steps (newest first, each undoable) and undone steps (redoable)
+* Only drawn while the panel is open (like the recurring and tag views).
+*/
+function renderHistory() {
+  const details = document.getElementById('historyDetails');
+  const box = document.getElementById('historyList');
+  if (!details || !box || !details.open) return;
+  if (!UNDO_STACK.length && !REDO_STACK.length) {
+    box.innerHTML = '<p class="muted">No changes yet in this session.</p>';
+    return;
+  }
+  const now = captureState();
+  const time = (d) => d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const item = (step, notes, undone) =>
+    `<li class="${undone ? 'undone' : ''}"><strong>${escapeHtml(step.label)}</strong> <small class="muted">${time(step.at)}${undone ? ' · undone' : ''}</small>` +
+    (notes.length ? `<br><small>${notes.map(escapeHtml).join(' · ')}</small>` : '') + '</li>';
+  let html = '<ol class="history-list">';
+  // Undone steps: each one's "after" is its stored state; its "before" is the state below it
+  for (let i = 0; i < REDO_STACK.length; i++) {
+    const before = i === REDO_STACK.length - 1 ? now : REDO_STACK[i + 1].state;
+    html += item(REDO_STACK[i], describeStateChange(before, REDO_STACK[i].state), true);
   }
+  // Done steps, newest first: stored state is the "before"; "after" is the next step's before
+  for (let i = UNDO_STACK.length - 1; i >= 0; i--) {
+    const after = i === UNDO_STACK.length - 1 ? now : UNDO_STACK[i + 1].state;
+    html += item(UNDO_STACK[i], describeStateChange(UNDO_STACK[i].state, after), false);
+  }
+  html += '</ol>';
+  box.innerHTML = html;
 }
 
 // ============================================================================
-// SECTION 14: LOCAL STORAGE
+/** BEGINNER_INLINE_DOCS:SECTION 14: STORAGE
+* Section overview: everything saved between sessions goes through SL_Store (store.js)
+* - Small values (rules, overrides, settings) use SL_Store.getItem/setItem like localStorage
+* - The ledger is saved one record per txn, so a render only writes rows that changed
+* - Old localStorage data is copied into IndexedDB on the first run (see initStorage)
+*/
+// SECTION 14: STORAGE
 // ============================================================================
 
-/** BEGINNER_INLINE_DOCS:saveTxnsToLocalStorage
+// Recomputed by categorise() on every load, so SL_Store doesn't keep them
+const DERIVED_TXN_FIELDS = ['category', 'overridden', 'tags'];
+
+/** BEGINNER_INLINE_DOCS:saveTxnsToStore
 * Purpose: Persist CURRENT_TXNS for future sessions
-* Reliability: Wrap in try/catch; browsers may block or clear storage
-* Compatibility: Writes to multiple keys for older versions.
+* Performance: Only new, changed or deleted txns are written (see SL_Store.saveTxns).
+*              category/overridden/tags are left out (DERIVED_TXN_FIELDS), so a rule edit writes nothing.
+*/
+function saveTxnsToStore() {
+  SL_Store.saveTxns(CURRENT_TXNS || []);
+}
+
+/** BEGINNER_INLINE_DOCS:normaliseStoredTxns
+* Purpose: Tidy a saved ledger (drop junk, default account/amount, give every txn an id)
+* Compatibility: Txns saved before accounts/IDs existed get account 'DEFAULT' and an id.
+*/
+function normaliseStoredTxns(list) {
+  if (!Array.isArray(list)) return [];
+  const txns = list
+    .filter(t => t && typeof t === 'object')
+    .map(t => ({ ...t, account: t.account || 'DEFAULT', amount: Number(t.amount) || 0 }));
+  return assignTxnIds(txns);
+}
+
+/** BEGINNER_INLINE_DOCS:readStoredTxns
+* Purpose: Read the saved ledger back (or [] if nothing/invalid is stored)
+*/
+function readStoredTxns() {
+  try { return normaliseStoredTxns(SL_Store.getTxns()); }
+  catch { return []; }
+}
+
+/** BEGINNER_INLINE_DOCS:initStorage
+* Purpose: Open SL_Store before anything is read (called first thing at startup)
+* Migration: On the first run the old localStorage keys (including the older
+*            'spendlite_txns_json' ledger copy) are moved into IndexedDB and removed
+*            from localStorage.
+*/
+function initStorage() {
+  return SL_Store.init({
+    keys: Object.values(LS_KEYS).filter(key => key !== LS_KEYS.TXNS_JSON),
+    txnKeys: [LS_KEYS.TXNS_JSON, 'spendlite_txns_json'],
+    prepareTxns: normaliseStoredTxns,
+    derivedFields: DERIVED_TXN_FIELDS,
+    onError: reportStorageError
+  });
+}
+
+/** BEGINNER_INLINE_DOCS:reportStorageError
+* Purpose: Tell the user when a save failed instead of losing changes silently
+* UX: "Storage full" shows a banner that stays until dismissed, with how much is used
+*     when the browser can tell. Saved data that can't be opened ('unavailable') gets the
+*     same banner. Other failures show a short status message.
 */
-function saveTxnsToLocalStorage() {
+async function reportStorageError({ kind, message }) {
+  const banner = document.getElementById('storageWarning');
+  if (kind === 'unavailable' && banner) {
+    banner.querySelector('.storage-warning-text').textContent = `⚠ ${message}`;
+    banner.style.display = '';
+    return;
+  }
+  if (kind !== 'quota' || !banner) {
+    showSaveStatus(`⚠ Could not save: ${message}`, 'error');
+    return;
+  }
+  const est = await SL_Store.estimate();
+  const mb = (n) => (n / 1048576).toFixed(1);
+  const usage = est && est.quota ? ` (${mb(est.usage)} of ${mb(est.quota)} MB used)` : '';
+  banner.querySelector('.storage-warning-text').textContent =
+    `⚠ Browser storage is full${usage}. Recent changes may not be kept after closing. ` +
+    'Export your rules and transactions, then undo recent imports or delete old rows to free space.';
+  banner.style.display = '';
+}
+
+/** BEGINNER_INLINE_DOCS:renderStoredDataInfo
+* Purpose: Show what is saved in this browser and when it was last imported (Section 1)
+* Note: The "Clear stored data" button only appears when something is stored.
+*/
+function renderStoredDataInfo() {
+  const info = document.getElementById('storedDataInfo');
+  if (!info) return;
+  const last = IMPORT_BATCHES.reduce((a, b) => (!a || String(b.importedAt) > String(a.importedAt) ? b : a), null);
+  const count = CURRENT_TXNS.length;
+  let text = count ? `${count} transaction${count === 1 ? '' : 's'} saved in this browser` : 'No transactions saved in this browser';
+  if (last && last.importedAt) {
+    const when = new Date(last.importedAt).toLocaleString([], { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+    text += ` · last import ${when}` + (last.fileName ? ` (${last.fileName})` : '');
+  }
+  info.textContent = text;
+  document.getElementById('clearStoredDataBtn').style.display = count || IMPORT_BATCHES.length ? '' : 'none';
+}
+
+/** BEGINNER_INLINE_DOCS:clearStoredData
+* Purpose: Wipe everything SpendLite saved in this browser (for shared machines)
+* Steps: confirm -> empty the ledger in memory (so nothing is saved on unload) -> clear SL_Store -> reload
+* Note: Cannot be undone; the page reloads with the default rules.
+*/
+async function clearStoredData() {
+  if (!confirm('Delete all transactions, rules, manual categories and settings saved in this browser?\n\nThis cannot be undone. Export your rules first if you want to keep them.')) return;
+  CURRENT_TXNS = [];
+  await SL_Store.clearAll();
+  location.reload();
+}
+
+function saveBatchesToStore() {
+  try { SL_Store.setItem(LS_KEYS.BATCHES, JSON.stringify(IMPORT_BATCHES || [])); } catch {}
+}
+
+function readStoredBatches() {
   try {
-    const data = JSON.stringify(CURRENT_TXNS || []);
-    localStorage.setItem(LS_KEYS.TXNS_JSON, data);
-    localStorage.setItem('spendlite_txns_json_v7', data);
-    localStorage.setItem('spendlite_txns_json', data);
-  } catch {}
+    const parsed = JSON.parse(SL_Store.getItem(LS_KEYS.BATCHES) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch { return []; }
 }
 
 // ============================================================================
@@ -890,12 +4508,12 @@ function saveTxnsToLocalStorage() {
 // ============================================================================
 
 function isTxnsCollapsed() {
-  try { return localStorage.getItem(LS_KEYS.TXNS_COLLAPSED) !== 'false'; }
+  try { return SL_Store.getItem(LS_KEYS.TXNS_COLLAPSED) !== 'false'; }
   catch { return true; }
 }
 
 function setTxnsCollapsed(v) {
-  try { localStorage.setItem(LS_KEYS.TXNS_COLLAPSED, v ? 'true' : 'false'); } catch {}
+  try { SL_Store.setItem(LS_KEYS.TXNS_COLLAPSED, v ? 'true' : 'false'); } catch {}
 }
 
 function applyTxnsCollapsedUI() {
@@ -920,13 +4538,64 @@ document.getElementById('csvFile').addEventListener('change', (e) => {
   const file = e.target.files?.[0];
   if (!file) return;
   const reader = new FileReader();
-  reader.onload = () => { loadCsvText(reader.result); };
+  reader.onload = () => { loadCsvText(reader.result, { fileName: file.name }); };
   reader.readAsText(file);
+  e.target.value = '';
+});
+
+document.getElementById('csvProfile').addEventListener('change', (e) => {
+  try { SL_Store.setItem(LS_KEYS.CSV_PROFILE, e.target.value || ''); } catch {}
+  rebuildCsvProfileDropdown();
 });
 
-document.getElementById('recalculateBtn').addEventListener('click', applyRulesAndRender);
+document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+  const sel = document.getElementById('csvProfile');
+  const id = sel.value;
+  const custom = loadCustomProfiles();
+  const p = custom.find(x => x.id === id);
+  if (!p || !confirm(`Delete the saved CSV profile "${p.name}"?`)) return;
+  saveCustomProfiles(custom.filter(x => x.id !== id));
+  sel.value = '';
+  try { SL_Store.removeItem(LS_KEYS.CSV_PROFILE); } catch {}
+  rebuildCsvProfileDropdown();
+});
+
+document.getElementById('recalculateBtn').addEventListener('click', () => {
+  recordRulesTextEdit();
+  applyRulesAndRender();
+});
+document.getElementById('rulesViewTableBtn').addEventListener('click', () => setRulesView('table'));
+document.getElementById('rulesViewRawBtn').addEventListener('click', () => setRulesView('raw'));
+document.getElementById('saveRulesBtn').addEventListener('click', saveRuleDraft);
+document.getElementById('discardRulesBtn').addEventListener('click', discardRuleDraft);
+document.getElementById('rulesDetails').addEventListener('toggle', renderRulesTable);
+document.getElementById('ruleSearch').addEventListener('input', renderRulesTable);
+document.getElementById('lintRulesBtn').addEventListener('click', renderRuleLint);
+document.getElementById('ruleVersionsDetails').addEventListener('toggle', renderRuleVersions);
+document.getElementById('compareSnapsBtn').addEventListener('click', renderRuleSnapshotDiff);
+document.getElementById('addRuleBtn').addEventListener('click', () => {
+  const left = document.getElementById('newRuleKeyword').value.trim();
+  const target = parseRuleTarget(document.getElementById('newRuleCategory').value);
+  if (!left || !target.category) { alert('Enter a keyword and a category.'); return; }
+  document.getElementById('newRuleKeyword').value = '';
+  document.getElementById('newRuleCategory').value = '';
+  editRuleDraft(-1, `${left} => ${formatRuleTarget(target)}`);
+});
+// Raw edits keep the table in sync (when there are no unsaved table edits)
+let RULES_TABLE_TIMER = null;
+document.getElementById('rulesBox').addEventListener('input', () => {
+  if (RULE_DRAFT) return;
+  clearTimeout(RULES_TABLE_TIMER);
+  RULES_TABLE_TIMER = setTimeout(renderRulesTable, 300);
+});
 document.getElementById('exportRulesBtn').addEventListener('click', exportRules);
 document.getElementById('exportTotalsBtn').addEventListener('click', exportTotals);
+document.getElementById('editBudgetsBtn').addEventListener('click', toggleBudgetEdit);
+document.getElementById('compareMode').addEventListener('change', (e) => {
+  COMPARE_MODE = COMPARE_MODES[e.target.value] ? e.target.value : "";
+  try { SL_Store.setItem(LS_KEYS.COMPARE, COMPARE_MODE); } catch {}
+  renderCategoryTotals(monthFilteredTxns());
+});
 
 document.getElementById('importRulesBtn').addEventListener('click', () => 
   document.getElementById('importRulesInput').click()
@@ -938,28 +4607,95 @@ document.getElementById('importRulesInput').addEventListener('change', (e) => {
 
 document.getElementById('clearFilterBtn').addEventListener('click', () => {
   CURRENT_FILTER = null;
-  try { localStorage.removeItem(LS_KEYS.FILTER); } catch {}
+  try { SL_Store.removeItem(LS_KEYS.FILTER); } catch {}
   updateFilterUI();
   CURRENT_PAGE = 1;
   renderTransactionsTable();
   renderMonthTotals(monthFilteredTxns());
+  renderCharts();
+});
+
+document.getElementById('chartType').addEventListener('change', (e) => {
+  try { SL_Store.setItem(LS_KEYS.CHART_TYPE, e.target.value); } catch {}
+  renderCharts();
+});
+
+document.getElementById('bulkSelectAllBtn').addEventListener('click', selectAllMatching);
+document.getElementById('bulkClearBtn').addEventListener('click', clearTxnSelection);
+document.getElementById('bulkCategoryBtn').addEventListener('click', openBulkCategoryPicker);
+document.getElementById('bulkTagBtn').addEventListener('click', bulkAddTag);
+document.getElementById('bulkTransferBtn').addEventListener('click', () => bulkMark('transfer'));
+document.getElementById('bulkExcludeBtn').addEventListener('click', () => bulkMark('excluded'));
+document.getElementById('bulkUnmarkBtn').addEventListener('click', bulkUnmark);
+document.getElementById('bulkRuleBtn').addEventListener('click', bulkCreateRule);
+document.getElementById('bulkDeleteBtn').addEventListener('click', bulkDelete);
+document.getElementById('undoBtn').addEventListener('click', undoLast);
+document.getElementById('redoBtn').addEventListener('click', redoLast);
+document.getElementById('historyDetails').addEventListener('toggle', renderHistory);
+document.getElementById('historyUndoBtn').addEventListener('click', undoLast);
+document.getElementById('historyRedoBtn').addEventListener('click', redoLast);
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac); text boxes keep the browser's own undo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target && e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); undoLast(); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redoLast(); }
+});
+
+let TXN_SEARCH_TIMER = null;
+document.getElementById('txnSearch').addEventListener('input', (e) => {
+  clearTimeout(TXN_SEARCH_TIMER);
+  TXN_SEARCH_TIMER = setTimeout(() => setTxnSearch(e.target.value), 200);
+});
+
+document.getElementById('clearOverridesBtn').addEventListener('click', clearOverridesInView);
+document.getElementById('triageBtn').addEventListener('click', openTriage);
+document.getElementById('autoSuggestBtn').addEventListener('click', autoSuggestUncategorised);
+document.getElementById('recurringDetails').addEventListener('toggle', renderRecurring);
+document.getElementById('tagsDetails').addEventListener('toggle', renderTagView);
+document.getElementById('addEventBtn').addEventListener('click', () => {
+  const tag = document.getElementById('eventTag').value;
+  const from = document.getElementById('eventFrom').value || '';
+  const to = document.getElementById('eventTo').value || '';
+  if (!normaliseTag(tag) || !from || !to) { alert('Enter a tag name and both dates.'); return; }
+  if (from > to) { alert('The "from" date is after the "to" date.'); return; }
+  addTagEvent(tag, from, to);
+  document.getElementById('eventTag').value = '';
 });
 
-document.getElementById('clearMonthBtn').addEventListener('click', () => {
-  MONTH_FILTER = "";
-  try { localStorage.removeItem(LS_KEYS.MONTH); } catch {}
-  document.getElementById('monthFilter').value = "";
+document.getElementById('clearMonthBtn').addEventListener('click', () => setPeriod(""));
+
+document.getElementById('accountFilter').addEventListener('change', (e) => {
+  ACCOUNT_FILTER = e.target.value || "";
+  try { SL_Store.setItem(LS_KEYS.ACCOUNT, ACCOUNT_FILTER); } catch {}
+  rebuildMonthDropdown();
   updateMonthBanner();
   CURRENT_PAGE = 1;
   applyRulesAndRender();
 });
 
 document.getElementById('monthFilter').addEventListener('change', (e) => {
-  MONTH_FILTER = e.target.value || "";
-  try { localStorage.setItem(LS_KEYS.MONTH, MONTH_FILTER); } catch {}
-  updateMonthBanner();
-  CURRENT_PAGE = 1;
-  applyRulesAndRender();
+  const value = e.target.value || "";
+  // Custom choices only reveal their pickers; the filter changes when "Apply" is pressed
+  if (value === PERIOD_CUSTOM.RANGE || value === PERIOD_CUSTOM.MULTI) {
+    document.getElementById('periodRange').style.display = value === PERIOD_CUSTOM.RANGE ? '' : 'none';
+    document.getElementById('periodMulti').style.display = value === PERIOD_CUSTOM.MULTI ? '' : 'none';
+    return;
+  }
+  setPeriod(value);
+});
+
+document.getElementById('applyRangeBtn').addEventListener('click', () => {
+  const from = document.getElementById('periodFrom').value || '';
+  const to = document.getElementById('periodTo').value || '';
+  if (from && to && from > to) { alert('The "from" date is after the "to" date.'); return; }
+  setPeriod(from || to ? `${from}..${to}` : "");
+});
+
+document.getElementById('applyMonthsBtn').addEventListener('click', () => {
+  const picked = Array.from(document.getElementById('periodMonths').selectedOptions).map(o => o.value).sort();
+  setPeriod(picked.length > 1 ? picked.join(',') : (picked[0] || ""));
 });
 
 // ============================================================================
@@ -973,8 +4709,10 @@ window.addEventListener('DOMContentLoaded', async () => {
   let restored = false;
   const box = document.getElementById('rulesBox');
 
+  await initStorage();
+
   try {
-    const saved = localStorage.getItem(LS_KEYS.RULES);
+    const saved = SL_Store.getItem(LS_KEYS.RULES);
     if (saved && saved.trim()) {
       box.value = saved;
       restored = true;
@@ -999,33 +4737,83 @@ window.addEventListener('DOMContentLoaded', async () => {
     box.value = SAMPLE_RULES;
   }
 
-  // NEW: Sort rules once on startup, if needed
-  sortRulesBox({silent: true});
+  // Old built-in "cheap PETROL is COFFEE" special case -> ordinary rule lines (once)
+  box.value = migrateCheapPetrolRule(box.value);
+
+  // Tidy rule formatting once on startup, if needed
+  tidyRulesBox({silent: true});
 
   // Track initial snapshot
   INITIAL_RULES = box.value;
 
   try {
-    const savedFilter = localStorage.getItem(LS_KEYS.FILTER);
+    const savedFilter = SL_Store.getItem(LS_KEYS.FILTER);
     CURRENT_FILTER = savedFilter && savedFilter.trim() ? savedFilter.toUpperCase() : null;
   } catch {}
   try {
-    const savedMonth = localStorage.getItem(LS_KEYS.MONTH);
+    const savedMonth = SL_Store.getItem(LS_KEYS.MONTH);
     MONTH_FILTER = savedMonth || "";
   } catch {}
+  try {
+    ACCOUNT_FILTER = SL_Store.getItem(LS_KEYS.ACCOUNT) || "";
+  } catch {}
+  IMPORT_BATCHES = readStoredBatches();
+  RULE_SNAPSHOTS = readStoredRuleSnapshots();
+  snapshotRules(box.value);
+  CATEGORY_OVERRIDES = readStoredOverrides();
+  TXN_SPLITS = readStoredSplits();
+  TXN_TAGS = readStoredTags();
+  TXN_MARKS = readStoredMarks();
+  TAG_EVENTS = readStoredEvents();
+  rebuildCsvProfileDropdown();
+  try {
+    setRulesView(SL_Store.getItem(LS_KEYS.RULES_VIEW) === 'raw' ? 'raw' : 'table');
+  } catch {}
+  try {
+    const savedSort = JSON.parse(SL_Store.getItem(LS_KEYS.TXN_SORT) || 'null');
+    if (savedSort && typeof savedSort.key === 'string') TXN_SORT = { key: savedSort.key, dir: savedSort.dir < 0 ? -1 : 1 };
+  } catch {}
+  try {
+    COLLAPSED_CATS = new Set(JSON.parse(SL_Store.getItem(LS_KEYS.COLLAPSED_CATS) || '[]'));
+  } catch {}
+  try {
+    const savedCompare = SL_Store.getItem(LS_KEYS.COMPARE) || "";
+    COMPARE_MODE = COMPARE_MODES[savedCompare] ? savedCompare : "";
+    document.getElementById('compareMode').value = COMPARE_MODE;
+  } catch {}
+  try {
+    const savedChart = SL_Store.getItem(LS_KEYS.CHART_TYPE);
+    if (savedChart) document.getElementById('chartType').value = savedChart;
+  } catch {}
 
   updateFilterUI();
+  applyTxnsCollapsedUI();
   CURRENT_PAGE = 1;
+
+  // Bring back the saved ledger so a reload doesn't need a re-import.
+  // rebuildMonthDropdown keeps the saved period if its months still exist.
+  CURRENT_TXNS = readStoredTxns();
+  if (CURRENT_TXNS.length) {
+    rebuildAccountDropdown();
+    rebuildMonthDropdown();
+    applyRulesAndRender();
+  }
+  renderStoredDataInfo();
   updateMonthBanner();
 });
 
 document.addEventListener('DOMContentLoaded', () => {
-  applyTxnsCollapsedUI();
   try { updateMonthBanner(); } catch {}
 });
 
+document.getElementById('clearStoredDataBtn').addEventListener('click', clearStoredData);
+
+document.getElementById('storageWarningClose').addEventListener('click', () => {
+  document.getElementById('storageWarning').style.display = 'none';
+});
+
 window.addEventListener('beforeunload', () => {
-  try { localStorage.setItem(LS_KEYS.TXNS_JSON, JSON.stringify(CURRENT_TXNS || [])); } catch {}
+  try { saveTxnsToStore(); } catch {}
 });
 
 // ============================================================================
@@ -1144,9 +4932,10 @@ function extractWestpacStatement(text) {
 
     if (!desc) desc = "Imported Transaction";
 
+    // Trailing "-" marks a credit (refund/payment): keep it negative
     txns.push({
       date:`${year}-${month}-${day}`,
-      amount:Math.abs(amount),
+      amount,
       description:desc
     });
 
@@ -1186,18 +4975,13 @@ function extractWestpacStatement(text) {
           return;
         }
 
-        CURRENT_TXNS = txns.map(t => ({
-          ...t,
-          amount: Math.abs(t.amount)
-        }));
-
-        saveTxnsToLocalStorage();
-        rebuildMonthDropdown();
-        applyRulesAndRender();
+        importTxns(txns, { fileName: file.name, source: 'pdf' });
 
       } catch (err) {
         console.error(err);
         alert('PDF import failed.');
+      } finally {
+        e.target.value = '';
       }
     });
   }
@@ -1241,12 +5025,16 @@ function extractWestpacStatement(text) {
           "Transaction Date",
           "Effective Date",
           "Debit Amount",
+          "Credit Amount",
           "Long Description"
         ];
 
-        const rows = txns.map(t =>
-          `${t.date},${t.date},${t.amount},"${t.description.replace(/"/g, '""')}"`
-        );
+        // Credits go in their own column so the CSV re-imports with the right sign
+        const rows = txns.map(t => {
+          const debit = t.amount > 0 ? t.amount.toFixed(2) : '';
+          const credit = t.amount < 0 ? Math.abs(t.amount).toFixed(2) : '';
+          return `${t.date},${t.date},${debit},${credit},"${t.description.replace(/"/g, '""')}"`;
+        });
 
         const csv = header.join(",") + "\n" + rows.join("\n");
 
@@ -0,0 +1,192 @@
+// ============================================================================
+// SPLIT MODAL - Divide one transaction across several categories
+// ============================================================================
+// Opened from the "Split" button in the transactions table (script.js).
+// Each part has an amount and a category; the parts must add up to the
+// original amount before "Save split" is enabled.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - Money is compared in whole cents to avoid floating point surprises
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // HTML TEMPLATE
+  // ============================================================================
+
+  const tpl = `
+  <div class="catpicker-backdrop" id="splitBackdrop" role="dialog" aria-modal="true" aria-labelledby="splitTitle">
+    <div class="catpicker-dialog">
+
+      <!-- Modal Header -->
+      <div class="catpicker-header">
+        <h2 class="catpicker-title" id="splitTitle">Split transaction</h2>
+        <div id="splitTxn" class="impreview-summary"></div>
+      </div>
+
+      <!-- Modal Body -->
+      <div class="catpicker-body split-body">
+        <datalist id="splitCategories"></datalist>
+        <div id="splitParts"></div>
+        <button type="button" class="catpicker-page-btn" id="splitAdd">+ Add part</button>
+        <div id="splitRemaining" class="split-remaining"></div>
+      </div>
+
+      <!-- Modal Actions (buttons) -->
+      <div class="catpicker-actions">
+        <button class="catpicker-btn" id="splitRemove">Remove split</button>
+        <button class="catpicker-btn" id="splitCancel">Cancel</button>
+        <button class="catpicker-btn primary" id="splitSave">Save split</button>
+      </div>
+
+    </div>
+  </div>`;
+
+  /**
+   * Ensures the modal HTML exists in the page (created once)
+   */
+  function ensureModal() {
+    if (document.getElementById('splitBackdrop')) return;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  /**
+   * Converts a money value to whole cents
+   * @param {*} v - Number or numeric string
+   * @returns {number}
+   */
+  function cents(v) {
+    return Math.round((Number(v) || 0) * 100);
+  }
+
+  // ============================================================================
+  // MAIN MODAL FUNCTION (PUBLIC API)
+  // ============================================================================
+
+  /**
+   * Opens the split editor
+   *
+   * @param {Object} options - Configuration object
+   * @param {Object} options.txn - The transaction being split ({ date, amount, description })
+   * @param {Array} options.categories - Category names offered in the category boxes
+   * @param {Array} options.parts - Existing parts [{ amount, category }] (empty for a new split)
+   * @param {Function} options.onSave - Called with the validated parts array
+   * @param {Function} options.onRemove - Called when the user removes the split
+   */
+  function openSplitEditor({txn, categories = [], parts = [], onSave, onRemove}) {
+    ensureModal();
+
+    const backdrop = document.getElementById('splitBackdrop');
+    const box = document.getElementById('splitParts');
+    const remainingEl = document.getElementById('splitRemaining');
+    const btnSave = document.getElementById('splitSave');
+    const btnRemove = document.getElementById('splitRemove');
+    const btnCancel = document.getElementById('splitCancel');
+    const total = cents(txn.amount);
+
+    document.getElementById('splitTxn').textContent =
+      `${txn.date} · ${(Number(txn.amount) || 0).toFixed(2)} · ${txn.description}`;
+    document.getElementById('splitCategories').innerHTML =
+      categories.map(c => `<option value="${String(c).replace(/"/g, '&quot;')}"></option>`).join('');
+
+    // Start with the saved parts, or the whole amount in the current category + an empty part
+    let rows = parts.length
+      ? parts.map(p => ({ amount: (Number(p.amount) || 0).toFixed(2), category: p.category || '' }))
+      : [{ amount: (total / 100).toFixed(2), category: txn.category || '' }, { amount: '0.00', category: '' }];
+
+    /**
+     * Recomputes the remaining amount and enables/disables Save
+     */
+    const validate = () => {
+      const used = rows.reduce((acc, r) => acc + cents(r.amount), 0);
+      const left = total - used;
+      const filled = rows.filter(r => cents(r.amount) !== 0);
+      const ok = left === 0 && filled.length >= 2 && filled.every(r => String(r.category).trim());
+      remainingEl.textContent = left === 0
+        ? (ok ? 'Parts add up to the original amount.' : 'Give every part a category (at least two parts).')
+        : `Remaining to allocate: ${(left / 100).toFixed(2)}`;
+      remainingEl.classList.toggle('bad', !ok);
+      btnSave.disabled = !ok;
+    };
+
+    /**
+     * Draws one input row per part
+     */
+    const draw = () => {
+      box.innerHTML = '';
+      rows.forEach((r, i) => {
+        const row = document.createElement('div');
+        row.className = 'split-row';
+
+        const amt = document.createElement('input');
+        amt.type = 'number';
+        amt.step = '0.01';
+        amt.className = 'catpicker-search split-amount';
+        amt.value = r.amount;
+        amt.addEventListener('input', () => { r.amount = amt.value; validate(); });
+
+        const cat = document.createElement('input');
+        cat.type = 'text';
+        cat.className = 'catpicker-search';
+        cat.setAttribute('list', 'splitCategories');
+        cat.placeholder = 'Category';
+        cat.value = r.category;
+        cat.addEventListener('input', () => { r.category = cat.value; validate(); });
+
+        const del = document.createElement('button');
+        del.type = 'button';
+        del.className = 'catpicker-page-btn';
+        del.textContent = '×';
+        del.title = 'Remove this part';
+        del.addEventListener('click', () => { rows.splice(i, 1); draw(); });
+
+        row.appendChild(amt);
+        row.appendChild(cat);
+        row.appendChild(del);
+        box.appendChild(row);
+      });
+      validate();
+    };
+
+    document.getElementById('splitAdd').onclick = () => {
+      const used = rows.reduce((acc, r) => acc + cents(r.amount), 0);
+      rows.push({ amount: ((total - used) / 100).toFixed(2), category: '' });
+      draw();
+    };
+
+    const close = () => {
+      backdrop.classList.remove('show');
+    };
+
+    btnRemove.style.display = parts.length ? '' : 'none';
+    btnRemove.onclick = () => {
+      close();
+      onRemove && onRemove();
+    };
+    btnCancel.onclick = close;
+    backdrop.onclick = (e) => {
+      if (e.target === backdrop) close();
+    };
+
+    btnSave.onclick = () => {
+      const clean = rows
+        .filter(r => cents(r.amount) !== 0)
+        .map(r => ({ amount: cents(r.amount) / 100, category: normaliseCategoryPath(r.category) }));
+      close();
+      onSave && onSave(clean);
+    };
+
+    draw();
+    backdrop.classList.add('show');
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the main function to the global scope
+  // This allows script.js to call: SL_Split.openSplitEditor(...)
+  window.SL_Split = { openSplitEditor };
+})();
@@ -0,0 +1,398 @@
+// ============================================================================
+// STORE - IndexedDB storage for the ledger, rules, overrides and settings
+// ============================================================================
+// localStorage holds ~5MB of strings per site and script.js used to rewrite the
+// whole ledger into it on every render. This module keeps the same simple
+// getItem / setItem API for small values, but stores them in IndexedDB, and
+// stores transactions one record per txn so only changed rows are written.
+//
+// How it works:
+// - init() opens the database (upgrading it through MIGRATIONS if needed),
+//   copies existing localStorage data across on first run, then loads
+//   everything into memory. After that getItem()/getTxns() are synchronous.
+// - Writes update memory immediately and reach IndexedDB in the background.
+// - A failed write (usually "storage full") is reported through onError.
+// - Browsers without IndexedDB (or where it is blocked) fall back to
+//   localStorage behind the same API - but only if the data was never moved
+//   out of localStorage. After that, an IndexedDB that won't open is reported
+//   through onError and nothing is saved, rather than showing an empty ledger.
+// - Fields script.js recomputes on every load (category, tags…) are not stored.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - SCHEMA_VERSION is the IndexedDB version; bump it and add a MIGRATIONS step
+//   whenever the object stores change
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // SCHEMA
+  // ============================================================================
+
+  const DB_NAME = 'spendlite';
+  const SCHEMA_VERSION = 1;
+
+  // One step per schema version: MIGRATIONS[n] upgrades a version n-1 database to n
+  const MIGRATIONS = {
+    1: (db) => {
+      db.createObjectStore('kv');                       // settings, rules, overrides… (string values)
+      db.createObjectStore('txns', { keyPath: 'id' });  // one record per transaction
+      db.createObjectStore('meta');                     // schemaVersion, migratedFromLocalStorage, txnOrder
+    }
+  };
+
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  // Set in localStorage once the data lives in IndexedDB (localStorage then no longer has it)
+  const MIGRATED_FLAG = 'spendlite_moved_to_indexeddb';
+
+  let db = null;
+  let backend = 'none';          // 'indexeddb' | 'localStorage' | 'unavailable'
+  let txnKey = '';               // localStorage key for the ledger in fallback mode
+  let knownKeys = [];            // every localStorage key script.js uses (for clearAll)
+  let onError = null;
+  let derivedFields = [];        // txn fields left out of stored records
+  const cache = new Map();       // kv values in memory
+  let storedTxns = new Map();    // id -> JSON of the record last written (to write only changes)
+  let storedOrder = [];          // txn ids in ledger order (records come back sorted by id)
+
+  /**
+   * Wraps an IDBRequest in a Promise
+   * @param {IDBRequest} req
+   * @returns {Promise<*>}
+   */
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Resolves when a transaction commits; rejects with its error when it fails
+   * @param {IDBTransaction} tx
+   * @returns {Promise<void>}
+   */
+  function done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    });
+  }
+
+  /**
+   * Passes a failure to the onError callback as { kind: 'quota' | 'error' | 'unavailable', message }
+   * @param {Error} err
+   * @param {string} [kind] - Forces the kind (otherwise worked out from err)
+   */
+  function report(err, kind) {
+    const quota = !!err && (err.name === 'QuotaExceededError' || err.code === 22 || /quota/i.test(err.message || ''));
+    const info = { kind: kind || (quota ? 'quota' : 'error'), message: (err && err.message) || String(err) };
+    if (onError) onError(info);
+    else console.warn('SpendLite storage:', info.message);
+  }
+
+  /**
+   * A txn as it is stored: without the derived fields, so recategorising doesn't rewrite every record
+   * @param {Object} t
+   * @returns {Object}
+   */
+  function toRecord(t) {
+    const record = { ...t };
+    for (const field of derivedFields) delete record[field];
+    return record;
+  }
+
+  /**
+   * Whether an earlier run already moved the data out of localStorage
+   * @returns {boolean}
+   */
+  function movedToIndexedDb() {
+    try { return !!localStorage.getItem(MIGRATED_FLAG); } catch { return false; }
+  }
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+      req.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion + 1; v <= SCHEMA_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('SpendLite is open in another tab with an older version'));
+    });
+  }
+
+  // ============================================================================
+  // FIRST-RUN MIGRATION FROM LOCALSTORAGE
+  // ============================================================================
+
+  /**
+   * Copies localStorage values and the ledger into IndexedDB (once), then
+   * removes them from localStorage to free its quota
+   * @param {Array} keys - localStorage keys holding small values
+   * @param {Array} txnKeys - localStorage keys that may hold the ledger JSON (first non-empty wins)
+   * @param {Function} prepareTxns - Tidies parsed txns (ids, defaults) before they are stored
+   */
+  async function migrateFromLocalStorage(keys, txnKeys, prepareTxns) {
+    const already = await request(db.transaction('meta').objectStore('meta').get('migratedFromLocalStorage'));
+    if (already) {
+      // Databases migrated before the flag existed get it on their next start
+      if (!movedToIndexedDb()) try { localStorage.setItem(MIGRATED_FLAG, already); } catch {}
+      return;
+    }
+
+    let txns = [];
+    for (const key of txnKeys) {
+      try {
+        const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+        if (Array.isArray(parsed) && parsed.length) { txns = prepareTxns(parsed); break; }
+      } catch {}
+    }
+
+    const tx = db.transaction(['kv', 'txns', 'meta'], 'readwrite');
+    for (const key of keys) {
+      const value = localStorage.getItem(key);
+      if (value !== null) tx.objectStore('kv').put(value, key);
+    }
+    for (const t of txns) if (t && t.id) tx.objectStore('txns').put(toRecord(t));
+    tx.objectStore('meta').put(txns.map(t => t && t.id).filter(Boolean), 'txnOrder');
+    tx.objectStore('meta').put(SCHEMA_VERSION, 'schemaVersion');
+    const migratedAt = new Date().toISOString();
+    tx.objectStore('meta').put(migratedAt, 'migratedFromLocalStorage');
+    await done(tx);
+
+    // Only after the copy committed, and only once the flag is set (or a later failed
+    // open could not tell an empty localStorage from one that was never used)
+    try { localStorage.setItem(MIGRATED_FLAG, migratedAt); } catch { return; }
+    for (const key of [...keys, ...txnKeys]) {
+      try { localStorage.removeItem(key); } catch {}
+    }
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  /**
+   * Opens the store and loads everything into memory. Call once, before reading.
+   *
+   * @param {Object} options
+   * @param {Array} options.keys - localStorage keys to migrate (small values)
+   * @param {Array} options.txnKeys - localStorage keys that held the ledger (newest first)
+   * @param {Function} options.prepareTxns - Tidies migrated txns (must give every txn an id)
+   * @param {Array} options.derivedFields - Txn fields the app recomputes on load; not stored
+   * @param {Function} options.onError - Called with { kind: 'quota' | 'error' | 'unavailable', message }
+   *   on failed writes, and with kind 'unavailable' when stored data can't be opened
+   * @returns {Promise<string>} The backend in use: 'indexeddb', 'localStorage' or 'unavailable'
+   */
+  async function init({keys = [], txnKeys = [], prepareTxns = (list) => list, derivedFields: fields = [], onError: handler} = {}) {
+    onError = handler || null;
+    derivedFields = fields;
+    txnKey = txnKeys[0] || '';
+    knownKeys = [...keys, ...txnKeys];
+    try {
+      if (!window.indexedDB) throw new Error('IndexedDB is not available');
+      db = await openDb();
+      await migrateFromLocalStorage(keys, txnKeys, prepareTxns);
+      const tx = db.transaction(['kv', 'txns', 'meta'], 'readonly');
+      const kv = tx.objectStore('kv');
+      const [names, values, txns, order] = await Promise.all([
+        request(kv.getAllKeys()),
+        request(kv.getAll()),
+        request(tx.objectStore('txns').getAll()),
+        request(tx.objectStore('meta').get('txnOrder'))
+      ]);
+      names.forEach((name, i) => cache.set(name, values[i]));
+      storedTxns = new Map(txns.map(t => [t.id, JSON.stringify(toRecord(t))]));
+      storedOrder = Array.isArray(order) ? order : [];
+      backend = 'indexeddb';
+    } catch (err) {
+      if (db) { try { db.close(); } catch {} }
+      db = null;
+      cache.clear();
+      storedTxns = new Map();
+      storedOrder = [];
+      if (movedToIndexedDb()) {
+        // The data is in IndexedDB; an empty localStorage would look like a wiped ledger
+        backend = 'unavailable';
+        report(new Error(`Saved data could not be opened (${(err && err.message) || err}). ` +
+          'Changes will not be saved. Close other SpendLite tabs and reload.'), 'unavailable');
+      } else {
+        // Private windows and old browsers: keep working on localStorage
+        backend = 'localStorage';
+        console.warn('SpendLite storage: using localStorage:', err && err.message);
+      }
+    }
+    return backend;
+  }
+
+  /**
+   * Reads a small value (string) or null
+   * @param {string} key
+   * @returns {string|null}
+   */
+  function getItem(key) {
+    if (backend === 'localStorage') return localStorage.getItem(key);
+    return cache.has(key) ? cache.get(key) : null;
+  }
+
+  /**
+   * Saves a small value (stored as a string, like localStorage)
+   * Callers that don't care can ignore the result: failures go to onError.
+   * @param {string} key
+   * @param {*} value
+   * @param {Object} options
+   * @param {boolean} options.quiet - Don't call onError; the caller handles a failure itself
+   * @returns {Promise<boolean>} true once the value is stored, false if the write failed
+   */
+  function setItem(key, value, {quiet = false} = {}) {
+    const str = String(value);
+    const fail = (err) => {
+      if (!quiet) report(err);
+      return false;
+    };
+    if (backend === 'localStorage') {
+      try { localStorage.setItem(key, str); } catch (err) { return Promise.resolve(fail(err)); }
+      return Promise.resolve(true);
+    }
+    if (backend === 'unavailable') return Promise.resolve(false);
+    if (cache.get(key) === str) return Promise.resolve(true);
+    const previous = cache.get(key);
+    cache.set(key, str);
+    if (!db) return Promise.resolve(true);
+    // put() itself can throw (e.g. DataCloneError); the Promise turns that into a failure too
+    const write = new Promise((resolve, reject) => {
+      const tx = db.transaction('kv', 'readwrite');
+      tx.objectStore('kv').put(str, key);
+      done(tx).then(resolve, reject);
+    });
+    return write.then(() => true, (err) => {
+      // Not stored: put the old value back so a retry isn't skipped as "unchanged"
+      if (cache.get(key) === str) {
+        if (previous === undefined) cache.delete(key);
+        else cache.set(key, previous);
+      }
+      return fail(err);
+    });
+  }
+
+  /**
+   * Deletes a small value
+   * @param {string} key
+   */
+  function removeItem(key) {
+    if (backend === 'localStorage') {
+      try { localStorage.removeItem(key); } catch {}
+      return;
+    }
+    cache.delete(key);
+    if (!db) return;
+    const tx = db.transaction('kv', 'readwrite');
+    tx.objectStore('kv').delete(key);
+    done(tx).catch(report);
+  }
+
+  /**
+   * The stored ledger (fresh copies, in the order it was saved)
+   * @returns {Array}
+   */
+  function getTxns() {
+    if (backend === 'localStorage') {
+      try {
+        const parsed = JSON.parse(localStorage.getItem(txnKey) || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+      } catch { return []; }
+    }
+    const ids = [...new Set([...storedOrder, ...storedTxns.keys()])];
+    return ids.filter(id => storedTxns.has(id)).map(id => JSON.parse(storedTxns.get(id)));
+  }
+
+  /**
+   * Saves the ledger, writing only txns that are new, changed or removed
+   * @param {Array} txns - The whole ledger (every txn needs an id)
+   */
+  function saveTxns(txns) {
+    if (backend === 'localStorage') {
+      try { localStorage.setItem(txnKey, JSON.stringify((txns || []).map(toRecord))); } catch (err) { report(err); }
+      return;
+    }
+    if (!db) return;
+    const next = new Map();
+    for (const t of txns || []) if (t && t.id) next.set(t.id, JSON.stringify(toRecord(t)));
+    const order = [...next.keys()];
+    const changed = [...next].filter(([id, json]) => storedTxns.get(id) !== json);
+    const removed = [...storedTxns.keys()].filter(id => !next.has(id));
+    const reordered = order.length !== storedOrder.length || order.some((id, i) => id !== storedOrder[i]);
+    if (!changed.length && !removed.length && !reordered) return;
+    const previous = storedTxns;
+    const previousOrder = storedOrder;
+    storedTxns = next;
+    storedOrder = order;
+    // put() itself can throw (e.g. DataCloneError); the Promise turns that into a failure too
+    const write = new Promise((resolve, reject) => {
+      const tx = db.transaction(['txns', 'meta'], 'readwrite');
+      const store = tx.objectStore('txns');
+      for (const [, json] of changed) store.put(JSON.parse(json));
+      for (const id of removed) store.delete(id);
+      if (reordered) tx.objectStore('meta').put(order, 'txnOrder');
+      done(tx).then(resolve, reject);
+    });
+    write.catch(err => {
+      // Nothing from this write landed: go back to what is really stored so the next save
+      // retries it. Rows a later save already rewrote are left to that save.
+      for (const [id, json] of changed) {
+        if (storedTxns.get(id) !== json) continue;
+        if (previous.has(id)) storedTxns.set(id, previous.get(id));
+        else storedTxns.delete(id);
+      }
+      for (const id of removed) if (!storedTxns.has(id)) storedTxns.set(id, previous.get(id));
+      if (storedOrder === order) storedOrder = previousOrder;
+      report(err);
+    });
+  }
+
+  /**
+   * Deletes everything stored (values and ledger), keeping the schema
+   * @returns {Promise<void>}
+   */
+  async function clearAll() {
+    cache.clear();
+    storedTxns = new Map();
+    storedOrder = [];
+    for (const key of knownKeys) {
+      try { localStorage.removeItem(key); } catch {}
+    }
+    if (!db) return;
+    const tx = db.transaction(['kv', 'txns', 'meta'], 'readwrite');
+    tx.objectStore('kv').clear();
+    tx.objectStore('txns').clear();
+    tx.objectStore('meta').delete('txnOrder');
+    await done(tx).catch(report);
+  }
+
+  /**
+   * How much the browser lets this site store (when the browser can tell)
+   * @returns {Promise<{usage:number, quota:number}|null>}
+   */
+  async function estimate() {
+    try {
+      if (navigator.storage && navigator.storage.estimate) return await navigator.storage.estimate();
+    } catch {}
+    return null;
+  }
+
+  /**
+   * Which backend is in use ('indexeddb' | 'localStorage' | 'unavailable') and the schema version
+   * @returns {{backend: string, schemaVersion: number}}
+   */
+  function info() {
+    return { backend, schemaVersion: SCHEMA_VERSION };
+  }
+
+  // Expose the functions to the global scope
+  // This allows script.js to call: SL_Store.getItem(...)
+  window.SL_Store = { init, getItem, setItem, removeItem, getTxns, saveTxns, clearAll, estimate, info };
+})();
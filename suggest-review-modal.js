@@ -0,0 +1,132 @@
+// ============================================================================
+// SUGGESTION REVIEW MODAL - Check auto-suggested rules before they are written
+// ============================================================================
+// Opened by "Auto-suggest uncategorised" (autoSuggestUncategorised in script.js).
+// Each row is one merchant keyword with the best guessed category and how
+// confident the guess is. Confident rows start ticked; the category can be
+// edited. Only ticked rows are handed back to become rules.
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - Nothing is written until "Add ticked rules" is pressed
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // HTML TEMPLATE
+  // ============================================================================
+
+  const tpl = `
+  <div class="catpicker-backdrop" id="suggestBackdrop" role="dialog" aria-modal="true" aria-labelledby="suggestTitle">
+    <div class="catpicker-dialog wide">
+
+      <!-- Modal Header -->
+      <div class="catpicker-header">
+        <h2 class="catpicker-title" id="suggestTitle">Suggested rules</h2>
+        <div id="suggestSummary" class="impreview-summary"></div>
+      </div>
+
+      <!-- Modal Body -->
+      <div class="catpicker-body impreview-body" id="suggestBody"></div>
+
+      <!-- Modal Actions (buttons) -->
+      <div class="catpicker-actions">
+        <button class="catpicker-btn" id="suggestCancel">Cancel</button>
+        <button class="catpicker-btn primary" id="suggestCommit">Add ticked rules</button>
+      </div>
+
+    </div>
+  </div>`;
+
+  /**
+   * Ensures the modal HTML exists in the page (created once)
+   */
+  function ensureModal() {
+    if (document.getElementById('suggestBackdrop')) return;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  // ============================================================================
+  // MAIN MODAL FUNCTION (PUBLIC API)
+  // ============================================================================
+
+  /**
+   * Opens the suggestion review
+   *
+   * @param {Object} options - Configuration object
+   * @param {Array} options.items - [{ keyword, count, total, category, confidence, example }]
+   * @param {Array} options.categories - Category names offered in the category boxes
+   * @param {number} options.threshold - Confidence (0..1) at or above which rows start ticked
+   * @param {Function} options.onCommit - Called with [{ keyword, category }] for ticked rows
+   */
+  function openSuggestReview({items = [], categories = [], threshold = 0.6, onCommit}) {
+    ensureModal();
+
+    const backdrop = document.getElementById('suggestBackdrop');
+    const body = document.getElementById('suggestBody');
+    const btnCommit = document.getElementById('suggestCommit');
+    const btnCancel = document.getElementById('suggestCancel');
+
+    const confident = items.filter(it => it.confidence >= threshold).length;
+    document.getElementById('suggestSummary').textContent =
+      `${items.length} merchant(s) without a category · ${confident} confident suggestion(s) ticked`;
+
+    let html = `<datalist id="suggestCategories">${categories.map(c => `<option value="${escapeHtml(c)}"></option>`).join('')}</datalist>`;
+    html += '<table class="impreview-table"><thead><tr><th></th><th>Keyword</th><th class="num">Rows</th>' +
+            '<th class="num">Total</th><th>Category</th><th class="num">Confidence</th></tr></thead><tbody>';
+    items.forEach((it, i) => {
+      const pct = Math.round((it.confidence || 0) * 100);
+      html += `<tr>
+        <td><input type="checkbox" data-i="${i}" ${it.category && it.confidence >= threshold ? 'checked' : ''}></td>
+        <td><strong>${escapeHtml(it.keyword)}</strong><br><small class="muted">${escapeHtml(it.example || '')}</small></td>
+        <td class="num">${it.count}</td>
+        <td class="num">${(Number(it.total) || 0).toFixed(2)}</td>
+        <td><input type="text" class="suggest-input" data-cat="${i}" list="suggestCategories" value="${escapeHtml(it.category || '')}"></td>
+        <td class="num suggest-conf${it.confidence < threshold ? ' low' : ''}">${it.category ? pct + '%' : '—'}</td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    body.innerHTML = html;
+
+    // Typing a category ticks the row; clearing it unticks
+    body.querySelectorAll('input[data-cat]').forEach(inp => {
+      inp.addEventListener('input', () => {
+        const box = body.querySelector(`input[type="checkbox"][data-i="${inp.getAttribute('data-cat')}"]`);
+        if (box) box.checked = !!inp.value.trim();
+      });
+    });
+
+    const close = () => {
+      backdrop.classList.remove('show');
+      body.innerHTML = '';
+    };
+
+    btnCancel.onclick = close;
+    backdrop.onclick = (e) => {
+      if (e.target === backdrop) close();
+    };
+
+    btnCommit.onclick = () => {
+      const chosen = [];
+      body.querySelectorAll('input[type="checkbox"][data-i]').forEach(box => {
+        if (!box.checked) return;
+        const i = Number(box.getAttribute('data-i'));
+        const cat = (body.querySelector(`input[data-cat="${i}"]`).value || '').trim().toUpperCase();
+        if (cat) chosen.push({ keyword: items[i].keyword, category: cat });
+      });
+      close();
+      onCommit && onCommit(chosen);
+    };
+
+    backdrop.classList.add('show');
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the main function to the global scope
+  // This allows script.js to call: SL_SuggestReview.openSuggestReview(...)
+  window.SL_SuggestReview = { openSuggestReview };
+})();
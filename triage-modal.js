@@ -0,0 +1,230 @@
+// ============================================================================
+// TRIAGE MODAL - Categorise UNCATEGORISED / NOT SURE rows one group at a time
+// ============================================================================
+// Opened by the "Review uncategorised" button (openTriage in script.js).
+// Rows are grouped by their suggested rule keyword, so one decision adds one
+// rule that categorises the whole group.
+//
+// Keyboard shortcuts (when the cursor is not in a text box):
+//   Enter / A   accept (add KEYWORD => CATEGORY)
+//   S / →       skip this group          ←  previous group
+//   K           change the keyword       C  change the category
+//   Esc         close
+//
+// KEY CONCEPTS FOR BEGINNERS:
+// - The modal never edits rules itself: script.js passes callbacks
+// ============================================================================
+
+(function() {
+  // ============================================================================
+  // HTML TEMPLATE
+  // ============================================================================
+
+  const tpl = `
+  <div class="catpicker-backdrop" id="triageBackdrop" role="dialog" aria-modal="true" aria-labelledby="triageTitle">
+    <div class="catpicker-dialog wide">
+
+      <!-- Modal Header -->
+      <div class="catpicker-header">
+        <h2 class="catpicker-title" id="triageTitle">Review uncategorised</h2>
+        <div id="triageProgress" class="impreview-summary"></div>
+      </div>
+
+      <!-- Modal Body -->
+      <div class="catpicker-body triage-body">
+        <div class="triage-fields">
+          <label>Keyword <small>(K)</small>
+            <input type="text" id="triageKeyword" class="catpicker-search" autocomplete="off">
+          </label>
+          <label>Category <small>(C)</small>
+            <input type="text" id="triageCategory" class="catpicker-search" list="triageCategories" autocomplete="off" placeholder="e.g. GROCERIES">
+          </label>
+          <datalist id="triageCategories"></datalist>
+        </div>
+        <div id="triageCatch" class="triage-catch"></div>
+        <div id="triageRows"></div>
+        <p class="triage-keys"><small>Enter/A accept · S/→ skip · ← back · K keyword · C category · Esc close</small></p>
+      </div>
+
+      <!-- Modal Actions (buttons) -->
+      <div class="catpicker-actions">
+        <button class="catpicker-btn" id="triageClose">Close</button>
+        <button class="catpicker-btn" id="triageSkip">Skip</button>
+        <button class="catpicker-btn primary" id="triageAccept">Add rule</button>
+      </div>
+
+    </div>
+  </div>`;
+
+  /**
+   * Ensures the modal HTML exists in the page (created once)
+   */
+  function ensureModal() {
+    if (document.getElementById('triageBackdrop')) return;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  // ============================================================================
+  // MAIN MODAL FUNCTION (PUBLIC API)
+  // ============================================================================
+
+  /**
+   * Opens the triage queue
+   *
+   * @param {Object} options - Configuration object
+   * @param {Array} options.groups - [{ keyword, count, total, txns, current }] biggest first
+   * @param {Array} options.categories - Category names offered in the category box
+   * @param {Function} options.countMatches - countMatches(keyword, category) => { count, total, moved }
+   * @param {Function} options.onAccept - onAccept(keyword, category) => refreshed groups array
+   * @param {Function} options.onClose - Called once when the modal closes
+   */
+  function openTriage({groups = [], categories = [], countMatches, onAccept, onClose}) {
+    ensureModal();
+
+    const backdrop = document.getElementById('triageBackdrop');
+    const progress = document.getElementById('triageProgress');
+    const kwInput = document.getElementById('triageKeyword');
+    const catInput = document.getElementById('triageCategory');
+    const catchEl = document.getElementById('triageCatch');
+    const rowsEl = document.getElementById('triageRows');
+    const btnAccept = document.getElementById('triageAccept');
+    const btnSkip = document.getElementById('triageSkip');
+    const btnClose = document.getElementById('triageClose');
+
+    let list = groups;
+    let index = 0;
+    let accepted = 0;
+    let open = true;
+
+    document.getElementById('triageCategories').innerHTML =
+      categories.map(c => `<option value="${escapeHtml(c)}"></option>`).join('');
+
+    /**
+     * Updates the "this keyword would catch…" line for the typed keyword
+     */
+    const refreshCatch = () => {
+      const kw = kwInput.value.trim();
+      if (!kw) {
+        catchEl.textContent = 'Type a keyword.';
+        btnAccept.disabled = true;
+        return;
+      }
+      const m = countMatches ? countMatches(kw, catInput.value) : { count: 0, total: 0, moved: 0 };
+      catchEl.innerHTML = `Keyword <strong>${escapeHtml(kw.toUpperCase())}</strong> would catch <strong>${m.count}</strong> row(s) ` +
+        `worth <strong>${m.total.toFixed(2)}</strong>` +
+        (m.moved ? ` · <span class="triage-warn">${m.moved} already in another category would move</span>` : '');
+      btnAccept.disabled = !m.count || !catInput.value.trim();
+    };
+
+    /**
+     * Shows the current group (or the "all done" message)
+     */
+    const draw = () => {
+      // Leave the boxes so the letter shortcuts work; K / C go back into them
+      if (document.activeElement === kwInput || document.activeElement === catInput) document.activeElement.blur();
+      if (index >= list.length) {
+        progress.textContent = accepted
+          ? `Done: ${accepted} rule(s) added. ${list.length} group(s) left.`
+          : `Nothing left to review${list.length ? ' after the skipped groups' : ''}.`;
+        kwInput.value = '';
+        catInput.value = '';
+        catchEl.textContent = '';
+        rowsEl.innerHTML = '';
+        btnAccept.disabled = true;
+        btnSkip.disabled = true;
+        return;
+      }
+      const g = list[index];
+      btnSkip.disabled = false;
+      progress.textContent = `Group ${index + 1} of ${list.length} · ${g.count} row(s) · ${g.total.toFixed(2)}` +
+        (g.current ? ` · now ${g.current}` : '');
+      kwInput.value = g.keyword;
+      catInput.value = '';
+      let html = '<table class="impreview-table"><thead><tr><th>Date</th><th class="num">Amount</th><th>Description</th><th>Now</th></tr></thead><tbody>';
+      g.txns.slice(0, 8).forEach(t => {
+        html += `<tr><td>${escapeHtml(t.date)}</td><td class="num">${(Number(t.amount) || 0).toFixed(2)}</td>` +
+          `<td>${escapeHtml(t.description)}</td><td>${escapeHtml(t.category || '')}</td></tr>`;
+      });
+      html += '</tbody></table>';
+      if (g.txns.length > 8) html += `<p class="muted"><small>…and ${g.txns.length - 8} more</small></p>`;
+      rowsEl.innerHTML = html;
+      refreshCatch();
+    };
+
+    const accept = () => {
+      const kw = kwInput.value.trim().toUpperCase();
+      const cat = normaliseCategoryPath(catInput.value);
+      if (!kw || !cat || btnAccept.disabled) return;
+      list = (onAccept && onAccept(kw, cat)) || list.filter((_, i) => i !== index);
+      accepted++;
+      if (index > list.length) index = list.length;
+      draw();
+    };
+
+    const skip = () => {
+      if (index < list.length) index++;
+      draw();
+    };
+
+    const back = () => {
+      if (index > 0) index--;
+      draw();
+    };
+
+    const close = () => {
+      if (!open) return;
+      open = false;
+      backdrop.classList.remove('show');
+      document.removeEventListener('keydown', onKey, true);
+      onClose && onClose(accepted);
+    };
+
+    /**
+     * Keyboard shortcuts (letters only when not typing in a box)
+     */
+    const onKey = (e) => {
+      const typing = e.target === kwInput || e.target === catInput;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        if (typing) e.target.blur();
+        else close();
+        return;
+      }
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        accept();
+        return;
+      }
+      if (typing || e.ctrlKey || e.metaKey || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === 'a') { e.preventDefault(); accept(); }
+      else if (key === 's' || e.key === 'ArrowRight') { e.preventDefault(); skip(); }
+      else if (e.key === 'ArrowLeft') { e.preventDefault(); back(); }
+      else if (key === 'k') { e.preventDefault(); kwInput.focus(); kwInput.select(); }
+      else if (key === 'c') { e.preventDefault(); catInput.focus(); catInput.select(); }
+    };
+
+    kwInput.oninput = refreshCatch;
+    catInput.oninput = refreshCatch;
+    btnAccept.onclick = accept;
+    btnSkip.onclick = skip;
+    btnClose.onclick = close;
+    backdrop.onclick = (e) => {
+      if (e.target === backdrop) close();
+    };
+    document.addEventListener('keydown', onKey, true);
+
+    backdrop.classList.add('show');
+    draw();
+  }
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  // Expose the main function to the global scope
+  // This allows script.js to call: SL_Triage.openTriage(...)
+  window.SL_Triage = { openTriage };
+})();